@@ -4,18 +4,31 @@ dotenv.config();
 import express from 'express';
 import cors from 'cors';
 import http from 'http';
+import mongoose from 'mongoose';
 import rateLimit from 'express-rate-limit';
 import helmet from 'helmet';
 import compression from 'compression';
 import connectDB from './src/config/database.js';
 import gameSocket from './src/websocket/gameSocket.js';
 import gameEngine from './src/services/game-engine.js';
+import chatService from './src/services/chat-service.js';
+import clusterNode from './src/cluster/index.js';
+import clusterConfig from './src/config/cluster.js';
+import shutdownConfig from './src/config/shutdown.js';
 import gameRoutes from './src/api/routes/game.route.js';
+import authRoutes from './src/api/routes/auth.route.js';
+import walletRoutes from './src/api/routes/wallet.route.js';
+import playerRoutes from './src/api/routes/player.route.js';
+import leaderboardRoutes from './src/api/routes/leaderboard.route.js';
+import { stampReceivedAt } from './src/api/middleware/received-at.middleware.js';
 
 const PORT = process.env.PORT || 3000;
 const NODE_ENV = process.env.NODE_ENV || 'production';
 const app = express();
 
+// Runs first so the arrival time is not pushed back by the middleware below
+app.use(stampReceivedAt);
+
 // Security middleware for production
 if (NODE_ENV === 'production') {
     app.use(helmet({
@@ -57,6 +70,10 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // API routes
 app.use('/api/game', gameRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/wallet', walletRoutes);
+app.use('/api/players', playerRoutes);
+app.use('/api/leaderboard', leaderboardRoutes);
 
 // Simple health check
 app.get('/', (req, res) => {
@@ -75,10 +92,23 @@ app.get('/', (req, res) => {
         players: gameEngine.sessions.size,
         gameState: gameEngine.getCurrentGameState(),
         endpoints: {
+            'Register': 'POST /api/auth/register',
+            'Login': 'POST /api/auth/login',
+            'Current Player': 'GET /api/auth/me',
+            'Wallets': 'GET /api/wallet',
+            'Swap Coins': 'POST /api/wallet/swap',
+            'Wallet Transactions': 'GET /api/wallet/transactions',
+            'Wallet Balance': 'GET /api/wallet/balance',
             'Game State': 'GET /api/game/state',
             'Place Bet': 'POST /api/game/bet',
             'Cash Out': 'POST /api/game/cashout',
-            'Crypto Prices': 'GET /api/game/prices'
+            'Crypto Prices': 'GET /api/game/prices',
+            'Fairness Commitment': 'GET /api/game/fairness',
+            'Round History': 'GET /api/game/rounds',
+            'Round Details': 'GET /api/game/rounds/:roundNumber',
+            'Verify Round': 'GET /api/game/rounds/:roundNumber/verify',
+            'Player Bets': 'GET /api/players/:id/bets',
+            'Leaderboard': 'GET /api/leaderboard'
         }
     });
 });
@@ -120,6 +150,12 @@ server.listen(PORT, async () => {
         console.log(`🚀 Server running on port ${PORT}`);
         
         await gameEngine.initialize();
+        await chatService.initialize();
+        if (clusterConfig.enabled) {
+            await clusterNode.start();
+        } else {
+            await gameEngine.start();
+        }
         console.log(`🎮 Game engine initialized successfully`);
         
         console.log(`🎮 Game WebSocket available at ws://localhost:${PORT}`);
@@ -128,4 +164,57 @@ server.listen(PORT, async () => {
         console.error('Failed to start server:', error);
         process.exit(1);
     }
-});
\ No newline at end of file
+});
+
+// A redeploy sends SIGTERM mid-round. The current round is allowed to crash and settle
+// so no stake is left riding, then clients are told to reconnect and the process exits.
+// A round still open when the drain times out is resolved by crash recovery on the next start.
+let shuttingDown = false;
+
+const shutdown = async (signal) => {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
+    console.log(`🛑 ${signal} received, finishing the current round before shutting down`);
+
+    const forceExit = setTimeout(() => {
+        console.error('❌ Shutdown did not finish in time, exiting');
+        process.exit(1);
+    }, shutdownConfig.drainTimeoutMs + 5000);
+    forceExit.unref();
+
+    try {
+        let drainTimer;
+        const drained = await Promise.race([
+            gameEngine.drain().then(() => true),
+            new Promise(resolve => {
+                drainTimer = setTimeout(() => resolve(false), shutdownConfig.drainTimeoutMs);
+            })
+        ]);
+        clearTimeout(drainTimer);
+
+        if (!drained) {
+            console.warn(`⚠️ Round still open after ${shutdownConfig.drainTimeoutMs}ms, leaving it to crash recovery`);
+            gameEngine.stop();
+        }
+
+        if (clusterConfig.enabled) {
+            await clusterNode.stop();
+        }
+
+        await gameSocket.close({ reconnectDelayMs: shutdownConfig.reconnectDelayMs });
+        server.closeAllConnections?.();
+        await new Promise(resolve => server.close(() => resolve()));
+        await mongoose.disconnect();
+
+        console.log('👋 Shutdown complete');
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Error during shutdown:', error);
+        process.exit(1);
+    }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
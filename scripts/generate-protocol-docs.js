@@ -0,0 +1,112 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { PROTOCOL_VERSION, ENVELOPE_SCHEMA, CLIENT_MESSAGES, SERVER_MESSAGES } from '../src/websocket/protocol.js';
+import { ERROR_DESCRIPTIONS } from '../src/services/game-errors.js';
+import { TICK_FRAME_TYPE, TICK_FRAME_SIZE, TICK_PHASES } from '../src/websocket/tick-frame.js';
+
+// Writes docs/PROTOCOL.md from the protocol definition, so the document never
+// drifts from what the server validates.
+// Usage: node scripts/generate-protocol-docs.js
+
+const output = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'docs', 'PROTOCOL.md');
+
+const describeType = (schema) => [].concat(schema.type || 'any').join(' \\| ');
+
+const describeConstraints = (schema) => {
+    const constraints = [];
+    if (schema.enum) constraints.push(`one of ${schema.enum.join(', ')}`);
+    if (schema.minimum != null) constraints.push(`≥ ${schema.minimum}`);
+    if (schema.exclusiveMinimum != null) constraints.push(`> ${schema.exclusiveMinimum}`);
+    if (schema.maximum != null) constraints.push(`≤ ${schema.maximum}`);
+    if (schema.minLength != null) constraints.push(`min length ${schema.minLength}`);
+    if (schema.maxLength != null) constraints.push(`max length ${schema.maxLength}`);
+    if (schema.pattern) constraints.push(`matches \`${schema.pattern}\``);
+    return constraints.join(', ');
+};
+
+const propertyTable = (schema) => {
+    const properties = Object.entries(schema.properties || {});
+    if (properties.length === 0) {
+        return '_No fields. `data` may be omitted._\n';
+    }
+
+    const required = new Set(schema.required || []);
+    const rows = properties.map(([name, property]) => `| \`${name}\` | ${describeType(property)} | ${required.has(name) ? 'yes' : 'no'} | ${[describeConstraints(property), property.description].filter(Boolean).join('. ')} |`);
+    return ['| Field | Type | Required | Notes |', '| --- | --- | --- | --- |', ...rows, ''].join('\n');
+};
+
+const sections = [
+    '# WebSocket Protocol',
+    '',
+    '<!-- Generated by scripts/generate-protocol-docs.js from src/websocket/protocol.js. Do not edit by hand. -->',
+    '',
+    `Protocol version: **${PROTOCOL_VERSION}**`,
+    '',
+    '## Envelope',
+    '',
+    'Every client message is a JSON object. Unknown fields are rejected.',
+    '',
+    propertyTable(ENVELOPE_SCHEMA),
+    'Replies and errors caused by a message carry its `requestId`. Messages sent only to one session',
+    '(marked below) carry an increasing `eventId` and are replayed by `resume_session`.',
+    '',
+    '## Client Messages',
+    ''
+];
+
+for (const [type, message] of Object.entries(CLIENT_MESSAGES)) {
+    sections.push(
+        `### \`${type}\``,
+        '',
+        message.description,
+        '',
+        `Reply: \`${message.reply}\``,
+        '',
+        propertyTable(message.schema),
+        '```json',
+        JSON.stringify({ v: PROTOCOL_VERSION, type, requestId: 'r-1', data: Object.fromEntries((message.schema.required || []).map(name => [name, `<${name}>`])) }),
+        '```',
+        ''
+    );
+}
+
+sections.push('## Server Messages', '', '| Type | Session | Description | Data fields |', '| --- | --- | --- | --- |');
+for (const [type, message] of Object.entries(SERVER_MESSAGES)) {
+    sections.push(`| \`${type}\` | ${message.session ? 'yes' : ''} | ${message.description} | ${message.fields} |`);
+}
+
+sections.push(
+    '',
+    '## Binary Tick Frames',
+    '',
+    `After \`set_tick_format\` with \`binary\`, ticks arrive as ${TICK_FRAME_SIZE}-byte little-endian binary frames instead of`,
+    'JSON `game_state_update` messages. The messages sent when betting opens, when the round starts and at the crash stay JSON.',
+    '',
+    '| Offset | Type | Field |',
+    '| --- | --- | --- |',
+    `| 0 | uint8 | Frame type, always ${TICK_FRAME_TYPE} |`,
+    `| 1 | uint8 | Phase: ${TICK_PHASES.map((phase, index) => `${index} = ${phase}`).join(', ')} |`,
+    '| 2 | uint16 | Protocol version |',
+    '| 4 | uint32 | Round number |',
+    '| 8 | float64 | Multiplier, 1 while waiting |',
+    '| 16 | float64 | Server time, ms since the epoch |',
+    '| 24 | uint32 | Time left to bet in ms, 0 while playing |',
+    '| 28 | uint32 | Reserved, 0 |',
+    '',
+    'Clients that fall behind miss ticks until they catch up, and are disconnected if they stay behind.',
+    '',
+    '## Error Codes',
+    '',
+    'Errors look like `{ "type": "error", "code": "BETTING_CLOSED", "message": "...", "requestId": "r-1" }`.',
+    'Validation errors add `details.errors` with every problem found.',
+    '',
+    '| Code | Meaning |',
+    '| --- | --- |',
+    ...Object.entries(ERROR_DESCRIPTIONS).map(([code, description]) => `| \`${code}\` | ${description} |`),
+    ''
+);
+
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(output, sections.join('\n'));
+console.log(`📝 Wrote ${path.relative(process.cwd(), output)}`);
@@ -0,0 +1,164 @@
+import http from 'node:http';
+import { performance } from 'node:perf_hooks';
+import { setTimeout as sleep } from 'node:timers/promises';
+import WebSocket from 'ws';
+
+// Opens many local WebSocket clients against the real game socket, drives it with
+// synthetic ticks and reports broadcast cost, traffic and how slow clients were
+// handled. Half the clients take binary ticks; a few stop reading their socket, get
+// a backlog queued on the server and should be disconnected once they stay behind.
+// No database is needed.
+// Usage: node scripts/load-test.js [clients] [seconds]
+
+const clientCount = parseInt(process.argv[2], 10) || 5000;
+const seconds = parseInt(process.argv[3], 10) || 20;
+const tickIntervalMs = 100;
+const slowCount = Math.max(1, Math.floor(clientCount / 100));
+const connectBatch = 200;
+
+// Local run, so the development JWT secret is fine
+process.env.NODE_ENV ??= 'development';
+// Shorter than the default so slow clients are found within the run
+process.env.WS_STUCK_TIMEOUT_MS ??= '3000';
+// Every client connects from 127.0.0.1
+process.env.WS_MAX_CONNECTIONS_PER_IP = String(clientCount);
+
+const { default: gameSocket } = await import('../src/websocket/gameSocket.js');
+const { default: gameEngine } = await import('../src/services/game-engine.js');
+const { default: cryptoService } = await import('../src/services/crypto-service.js');
+const { default: websocketConfig } = await import('../src/config/websocket.js');
+const { GAME_EVENTS } = await import('../src/services/game-events.js');
+const { decodeTickFrame } = await import('../src/websocket/tick-frame.js');
+
+// Keep prices off the network and per-connection logging out of the timings
+cryptoService.cache.set('crypto_prices', { data: { ...cryptoService.fallbackPrices }, timestamp: Date.now() + 24 * 60 * 60 * 1000 });
+const log = console.log;
+console.log = () => {};
+console.warn = () => {};
+
+const server = http.createServer();
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+gameSocket.initialize(server);
+const url = `ws://127.0.0.1:${server.address().port}`;
+
+const stats = { jsonTicks: 0, binaryTicks: 0, otherDisconnected: 0 };
+const clients = [];
+
+const connect = (index) => new Promise((resolve, reject) => {
+    const binary = index % 2 === 1;
+    const slow = index < slowCount;
+    const ws = new WebSocket(url);
+    const client = { ws, binary, slow, ticks: 0, sessionId: null };
+
+    ws.on('message', (raw, isBinary) => {
+        if (isBinary) {
+            decodeTickFrame(raw);
+            client.ticks++;
+            stats.binaryTicks++;
+            return;
+        }
+
+        const message = JSON.parse(raw);
+        if (message.type === 'connected') {
+            client.sessionId = message.data.sessionId;
+            if (binary) {
+                ws.send(JSON.stringify({ type: 'set_tick_format', data: { format: 'binary' } }));
+            }
+            if (slow) {
+                // Stop reading, so the server's send buffer for this client only grows
+                ws._socket.pause();
+            }
+            resolve(client);
+        } else if (message.type === 'game_state_update') {
+            client.ticks++;
+            stats.jsonTicks++;
+        }
+    });
+    // A paused socket never sees its close, so slow clients are counted on the server
+    ws.on('close', () => {
+        if (!slow) {
+            stats.otherDisconnected++;
+        }
+    });
+    ws.on('error', reject);
+});
+
+log(`🔌 Connecting ${clientCount.toLocaleString()} clients (${slowCount} slow)`);
+const connectStarted = performance.now();
+for (let index = 0; index < clientCount; index += connectBatch) {
+    const batch = [];
+    for (let offset = index; offset < Math.min(index + connectBatch, clientCount); offset++) {
+        batch.push(connect(offset));
+    }
+    clients.push(...await Promise.all(batch));
+}
+log(`✅ Connected in ${Math.round(performance.now() - connectStarted)}ms`);
+
+// Time every broadcast and count what it hands to the sockets
+const timings = [];
+const broadcastTick = gameSocket.broadcastTick.bind(gameSocket);
+gameSocket.broadcastTick = (tick) => {
+    const started = performance.now();
+    broadcastTick(tick);
+    timings.push(performance.now() - started);
+};
+
+const jsonTickBytes = (tick) => Buffer.byteLength(JSON.stringify(gameSocket.formatTick(tick)));
+const startTime = Date.now();
+let lastTick = null;
+let tickCount = 0;
+
+// The kernel socket buffers would take minutes to fill with ticks alone, so the slow
+// clients get filler until their queue is past the tick drop threshold
+const slowSessions = new Set(clients.filter(client => client.slow).map(client => client.sessionId));
+const filler = JSON.stringify({ type: 'filler', data: 'x'.repeat(64 * 1024) });
+const backlogTarget = websocketConfig.backpressure.tickDropBytes * 2;
+const fillSlowClients = () => {
+    for (const [ws, clientInfo] of gameSocket.clients.entries()) {
+        if (slowSessions.has(clientInfo.sessionId) && ws.bufferedAmount < backlogTarget) {
+            gameSocket.sendFrame(ws, filler);
+        }
+    }
+};
+
+log(`📈 Ticking every ${tickIntervalMs}ms for ${seconds}s`);
+const endsAt = Date.now() + seconds * 1000;
+while (Date.now() < endsAt) {
+    const elapsed = (Date.now() - startTime) / 1000;
+    lastTick = {
+        phase: 'active',
+        roundNumber: 1,
+        multiplier: Math.exp(0.06 * elapsed),
+        timeLeft: 0,
+        startTime,
+        serverTime: Date.now(),
+        curve: { growthRate: 0.06 }
+    };
+    fillSlowClients();
+    gameEngine.emit(GAME_EVENTS.TICK, lastTick);
+    tickCount++;
+    await sleep(tickIntervalMs);
+}
+await sleep(500);
+
+const sorted = [...timings].sort((a, b) => a - b);
+const percentile = (p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))].toFixed(2);
+const healthy = clients.filter(client => !client.slow);
+const binaryClients = clients.filter(client => client.binary).length;
+const received = healthy.map(client => client.ticks).sort((a, b) => a - b);
+const connectedSessions = new Set([...gameSocket.clients.values()].map(clientInfo => clientInfo.sessionId));
+const slowDisconnected = [...slowSessions].filter(sessionId => !connectedSessions.has(sessionId)).length;
+
+log('');
+log(`📊 ${tickCount} ticks to ${clientCount.toLocaleString()} clients`);
+log(`   broadcast ms: p50 ${percentile(0.5)}, p99 ${percentile(0.99)}, max ${sorted[sorted.length - 1].toFixed(2)}`);
+log(`   bytes per tick: ${jsonTickBytes(lastTick)} JSON, 32 binary; ${((clientCount - binaryClients) * jsonTickBytes(lastTick) + binaryClients * 32).toLocaleString()} per broadcast`);
+log(`   ticks received by healthy clients: min ${received[0]}, median ${received[Math.floor(received.length / 2)]} (${stats.jsonTicks.toLocaleString()} JSON, ${stats.binaryTicks.toLocaleString()} binary in total)`);
+log(`   slow clients disconnected: ${slowDisconnected} of ${slowCount}; healthy clients disconnected: ${stats.otherDisconnected}`);
+
+const ok = stats.otherDisconnected === 0 && received[0] >= tickCount * 0.9 && slowDisconnected === slowCount;
+log(ok ? '✅ Healthy clients kept up and slow clients were dropped' : '❌ Healthy clients fell behind or slow clients were kept');
+
+await gameSocket.close({ reconnectDelayMs: 0 });
+server.close();
+process.exit(ok ? 0 : 1);
@@ -0,0 +1,30 @@
+import crypto from 'node:crypto';
+import provablyFairConfig from '../src/config/provably-fair.js';
+import { sha256, simulateReturnToPlayer, expectedReturnToPlayer } from '../src/utils/provably-fair.js';
+
+// Simulates rounds through the real crash formula and reports the RTP of a player
+// cashing out at fixed targets. The same seed reproduces the same run; the pass/fail
+// checks run deterministically in test/rtp.test.js.
+// Usage: node scripts/simulate-rtp.js [rounds] [seed]
+
+const rounds = parseInt(process.argv[2], 10) || 1_000_000;
+const seed = process.argv[3] || crypto.randomBytes(16).toString('hex');
+const params = provablyFairConfig.crash;
+const expectedRtp = expectedReturnToPlayer(params);
+
+console.log(`🎲 Simulating ${rounds.toLocaleString()} rounds with seed ${seed} and`, params);
+
+const { targets, instantBustRate } = simulateReturnToPlayer(sha256(`${seed}:server`), sha256(`${seed}:client`), {
+    rounds,
+    targets: [1.01, 1.5, 2, 5, 10],
+    params
+});
+
+for (const { target, rtp, standardError } of targets) {
+    const tolerance = 5 * standardError;
+    const ok = Math.abs(rtp - expectedRtp) <= tolerance;
+
+    console.log(`${ok ? '✅' : '❌'} target ${target}x: RTP ${(rtp * 100).toFixed(3)}% (expected ${(expectedRtp * 100).toFixed(3)}% ± ${(tolerance * 100).toFixed(3)}%)`);
+}
+
+console.log(`💥 Rounds crashing at 1.00x: ${(instantBustRate * 100).toFixed(3)}%`);
@@ -0,0 +1,29 @@
+import authService from '../../services/auth-service.js';
+
+export const register = async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const { player, token } = await authService.register(username, password);
+        res.status(201).json({ success: true, data: { token, player: player.toPublicJSON() } });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+};
+
+export const login = async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const { player, token } = await authService.login(username, password);
+        res.json({ success: true, data: { token, player: player.toPublicJSON() } });
+    } catch (error) {
+        res.status(401).json({ success: false, error: error.message });
+    }
+};
+
+export const getMe = async (req, res) => {
+    try {
+        res.json({ success: true, data: req.player.toPublicJSON() });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
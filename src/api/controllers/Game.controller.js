@@ -1,5 +1,36 @@
+import mongoose from 'mongoose';
 import gameEngine from '../../services/game-engine.js';
 import cryptoPriceService from '../../services/crypto-service.js';
+import historyService from '../../services/history-service.js';
+import { getErrorCode } from '../../services/game-errors.js';
+import GameRound from '../models/game-round.model.js';
+import HashChain from '../models/hash-chain.model.js';
+import { verifyCrashPoint } from '../../utils/provably-fair.js';
+
+// Authenticated requests play on the account's session. Anonymous requests pass
+// their own sessionId, but may not use one that belongs to an account.
+const resolveSessionId = (req, res) => {
+    if (req.player) {
+        return gameEngine.attachPlayer(req.player).sessionId;
+    }
+
+    const { sessionId } = req.body;
+    if (gameEngine.isPlayerSessionId(sessionId)) {
+        res.status(401).json({ 
+            success: false, 
+            error: 'Authorization token required for this session' 
+        });
+        return undefined;
+    }
+
+    return sessionId || null;
+};
+
+const parseOptionalNumber = (value) => (value === undefined || value === '' ? null : Number(value));
+
+const parseOptionalDate = (value) => (value ? new Date(value) : null);
+
+const getIdempotencyKey = (req) => req.get('Idempotency-Key') || req.body.idempotencyKey || null;
 
 export const getGameState = async (req, res) => {
     try {
@@ -12,7 +43,11 @@ export const getGameState = async (req, res) => {
 
 export const placeBet = async (req, res) => {
     try {
-        const { sessionId, usdAmount, cryptocurrency, playerName } = req.body;
+        const { usdAmount, cryptocurrency, playerName, clientSeed, autoCashoutAt } = req.body;
+        const sessionId = resolveSessionId(req, res);
+        if (sessionId === undefined) {
+            return;
+        }
         
         if (!sessionId || !usdAmount || !cryptocurrency) {
             return res.status(400).json({ 
@@ -28,24 +63,32 @@ export const placeBet = async (req, res) => {
             });
         }
 
-        const supportedCryptos = ['BTC', 'ETH'];
-        if (!supportedCryptos.includes(cryptocurrency.toUpperCase())) {
+        const symbol = cryptoPriceService.getSymbol(cryptocurrency);
+        if (!symbol) {
             return res.status(400).json({ 
                 success: false, 
-                error: `Cryptocurrency must be one of: ${supportedCryptos.join(', ')}` 
+                error: `Cryptocurrency must be one of: ${cryptoPriceService.supportedSymbols.join(', ')}` 
             });
         }
 
-        const result = await gameEngine.placeBet(sessionId, usdAmount, cryptocurrency.toUpperCase(), playerName);
+        const result = await gameEngine.placeBet(sessionId, usdAmount, symbol, {
+            playerName,
+            clientSeed,
+            autoCashoutAt,
+            idempotencyKey: getIdempotencyKey(req)
+        });
         res.json({ success: true, data: result });
     } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        res.status(400).json({ success: false, error: error.message, code: getErrorCode(error) });
     }
 };
 
 export const cashOut = async (req, res) => {
     try {
-        const { sessionId } = req.body;
+        const sessionId = resolveSessionId(req, res);
+        if (sessionId === undefined) {
+            return;
+        }
         
         if (!sessionId) {
             return res.status(400).json({ 
@@ -54,10 +97,17 @@ export const cashOut = async (req, res) => {
             });
         }
 
-        const result = await gameEngine.cashOut(sessionId);
+        const { betId, fraction, usdAmount } = req.body;
+        const result = await gameEngine.cashOut(sessionId, {
+            betId,
+            idempotencyKey: getIdempotencyKey(req),
+            fraction,
+            usdAmount,
+            receivedAt: req.receivedAt
+        });
         res.json({ success: true, data: result });
     } catch (error) {
-        res.status(400).json({ success: false, error: error.message });
+        res.status(400).json({ success: false, error: error.message, code: getErrorCode(error) });
     }
 };
 
@@ -68,4 +118,151 @@ export const getCryptoPrices = async (req, res) => {
     } catch (error) {
         res.status(500).json({ success: false, error: error.message });
     }
-};
\ No newline at end of file
+};
+
+export const getFairnessInfo = async (req, res) => {
+    try {
+        const fairness = gameEngine.getFairnessInfo();
+        if (!fairness) {
+            return res.status(503).json({ 
+                success: false, 
+                error: 'Hash chain not initialized yet' 
+            });
+        }
+        res.json({ success: true, data: fairness });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+export const verifyRound = async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber, 10);
+        if (!Number.isInteger(roundNumber) || roundNumber < 1) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'roundNumber must be a positive integer' 
+            });
+        }
+
+        const round = await GameRound.findOne({ roundNumber }).sort({ createdAt: -1 });
+        if (!round) {
+            return res.status(404).json({ 
+                success: false, 
+                error: `Round ${roundNumber} not found` 
+            });
+        }
+
+        // Rounds played before the hash chain was introduced have no committed seed to check
+        if (!round.chainId) {
+            return res.status(410).json({ 
+                success: false, 
+                error: 'Round predates provably-fair verification' 
+            });
+        }
+
+        if (!['crashed', 'completed'].includes(round.status) || round.crashPoint == null) {
+            return res.status(409).json({ 
+                success: false, 
+                error: 'Round has not crashed yet, its seed is still secret' 
+            });
+        }
+
+        const verification = verifyCrashPoint(round.seed, round.roundNumber, {
+            clientSeed: round.clientSeed,
+            nonce: round.nonce,
+            params: round.toObject().crashParams,
+            hash: round.hash,
+            crashPoint: round.crashPoint
+        });
+        const chain = await HashChain.findById(round.chainId);
+
+        res.json({ 
+            success: true, 
+            data: {
+                roundNumber: round.roundNumber,
+                status: round.status,
+                seed: round.seed,
+                hash: round.hash,
+                inputs: {
+                    publicSalt: round.publicSalt,
+                    clientSeeds: round.clientSeeds.map(({ clientSeed, submittedAt }) => ({ clientSeed, submittedAt })),
+                    clientSeed: round.clientSeed,
+                    nonce: round.nonce,
+                    crashParams: verification.params
+                },
+                crashPoint: round.crashPoint,
+                recomputedCrashPoint: verification.crashPoint,
+                hmac: verification.hmac,
+                hashMatches: verification.hashMatches,
+                crashPointMatches: verification.crashPointMatches,
+                valid: verification.valid,
+                chain: chain ? {
+                    chainId: chain._id,
+                    chainIndex: round.chainIndex,
+                    terminalHash: chain.terminalHash
+                } : null
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+export const getRounds = async (req, res) => {
+    try {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const { cursor } = req.query;
+        const minCrash = parseOptionalNumber(req.query.minCrash);
+        const maxCrash = parseOptionalNumber(req.query.maxCrash);
+        const from = parseOptionalDate(req.query.from);
+        const to = parseOptionalDate(req.query.to);
+
+        if (cursor && !mongoose.isValidObjectId(cursor)) {
+            return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+
+        if ([minCrash, maxCrash].some(value => value !== null && !Number.isFinite(value))) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'minCrash and maxCrash must be numbers' 
+            });
+        }
+
+        if ([from, to].some(date => date !== null && Number.isNaN(date.getTime()))) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'from and to must be valid dates' 
+            });
+        }
+
+        const result = await historyService.getRounds({ cursor, limit, minCrash, maxCrash, from, to });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+export const getRound = async (req, res) => {
+    try {
+        const roundNumber = parseInt(req.params.roundNumber, 10);
+        if (!Number.isInteger(roundNumber) || roundNumber < 1) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'roundNumber must be a positive integer' 
+            });
+        }
+
+        const round = await historyService.getRound(roundNumber);
+        if (!round) {
+            return res.status(404).json({ 
+                success: false, 
+                error: `Round ${roundNumber} not found` 
+            });
+        }
+
+        res.json({ success: true, data: round });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
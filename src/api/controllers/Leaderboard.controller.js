@@ -0,0 +1,23 @@
+import leaderboardService, { LEADERBOARD_PERIODS } from '../../services/leaderboard-service.js';
+
+export const getLeaderboard = async (req, res) => {
+    try {
+        const { period } = req.query;
+        if (!period) {
+            const boards = await leaderboardService.getLeaderboards();
+            return res.json({ success: true, data: boards });
+        }
+
+        if (!Object.hasOwn(LEADERBOARD_PERIODS, period)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}` 
+            });
+        }
+
+        const board = await leaderboardService.getLeaderboard(period);
+        res.json({ success: true, data: board });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
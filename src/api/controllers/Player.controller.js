@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+import historyService from '../../services/history-service.js';
+
+const STAFF_ROLES = ['moderator', 'admin'];
+
+export const getPlayerBets = async (req, res) => {
+    try {
+        const { id } = req.params;
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(400).json({ success: false, error: 'Invalid player id' });
+        }
+
+        // Players see their own history. Support staff may look at anyone's.
+        if (id !== req.player._id.toString() && !STAFF_ROLES.includes(req.player.role)) {
+            return res.status(403).json({ success: false, error: 'You can only view your own bets' });
+        }
+
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const { cursor } = req.query;
+        if (cursor && !mongoose.isValidObjectId(cursor)) {
+            return res.status(400).json({ success: false, error: 'Invalid cursor' });
+        }
+
+        const result = await historyService.getPlayerBets(id, { cursor, limit });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
@@ -0,0 +1,215 @@
+import mongoose from 'mongoose';
+import walletService from '../../services/wallet-service.js';
+import gameEngine from '../../services/game-engine.js';
+import cryptoPriceService from '../../services/crypto-service.js';
+import { getErrorCode } from '../../services/game-errors.js';
+import Player from '../models/player.model.js';
+
+const STAFF_ROLES = ['moderator', 'admin'];
+const TRANSACTION_TYPES = ['bet', 'payout', 'deposit', 'adjustment', 'refund', 'swap'];
+const ADJUSTMENT_TYPES = ['adjustment', 'refund', 'deposit'];
+
+// Players see their own wallet. Support staff may pass ?playerId= to look at anyone's.
+const resolvePlayerId = (req, res) => {
+    const { playerId } = req.query;
+    if (!playerId || playerId === req.player._id.toString()) {
+        return req.player._id.toString();
+    }
+
+    if (!STAFF_ROLES.includes(req.player.role)) {
+        res.status(403).json({ success: false, error: 'You can only view your own wallet' });
+        return null;
+    }
+
+    if (!mongoose.isValidObjectId(playerId)) {
+        res.status(400).json({ success: false, error: 'Invalid playerId' });
+        return null;
+    }
+
+    return playerId;
+};
+
+export const getTransactions = async (req, res) => {
+    try {
+        const playerId = resolvePlayerId(req, res);
+        if (!playerId) {
+            return;
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const { type } = req.query;
+        const currency = req.query.currency ? cryptoPriceService.getSymbol(req.query.currency) : null;
+
+        if (type && !TRANSACTION_TYPES.includes(type)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `type must be one of: ${TRANSACTION_TYPES.join(', ')}` 
+            });
+        }
+
+        if (req.query.currency && !currency) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `currency must be one of: ${cryptoPriceService.supportedSymbols.join(', ')}` 
+            });
+        }
+
+        const result = await walletService.getTransactions(playerId, { page, limit, type, currency });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+// Keeps an in-memory game session in step with wallet changes made outside the engine.
+const syncSessionWallets = (playerId, wallets) => {
+    const session = gameEngine.sessions.get(gameEngine.getPlayerSessionId(playerId));
+    if (session) {
+        Object.assign(session.wallets, wallets);
+    }
+};
+
+export const getWallets = async (req, res) => {
+    try {
+        const playerId = resolvePlayerId(req, res);
+        if (!playerId) {
+            return;
+        }
+
+        const player = await Player.findById(playerId);
+        if (!player) {
+            return res.status(404).json({ success: false, error: 'Player not found' });
+        }
+
+        const summary = await walletService.summarize(player.toObject().wallets);
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+};
+
+export const swap = async (req, res) => {
+    try {
+        const { from, to, amount } = req.body;
+        const fromSymbol = cryptoPriceService.getSymbol(from);
+        const toSymbol = cryptoPriceService.getSymbol(to);
+
+        if (!fromSymbol || !toSymbol) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `from and to must be one of: ${cryptoPriceService.supportedSymbols.join(', ')}` 
+            });
+        }
+
+        const playerId = req.player._id.toString();
+        const idempotencyKey = gameEngine.validateIdempotencyKey(req.get('Idempotency-Key') || req.body.idempotencyKey || null);
+        const result = await walletService.swap(playerId, fromSymbol, toSymbol, amount, { idempotencyKey });
+        // A repeated swap's entries hold the balances of back then
+        if (!result.duplicate) {
+            syncSessionWallets(playerId, {
+                [fromSymbol]: result.debit.balanceAfter,
+                [toSymbol]: result.credit.balanceAfter
+            });
+        }
+
+        res.status(result.duplicate ? 200 : 201).json({ 
+            success: true, 
+            data: {
+                duplicate: Boolean(result.duplicate),
+                reference: result.reference,
+                from: fromSymbol,
+                to: toSymbol,
+                fromAmount: result.conversion.fromAmount,
+                toAmount: result.conversion.toAmount,
+                usdValue: result.conversion.usdAmount,
+                transactions: [result.debit, result.credit]
+            }
+        });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message, code: getErrorCode(error) });
+    }
+};
+
+export const getBalance = async (req, res) => {
+    try {
+        const playerId = resolvePlayerId(req, res);
+        if (!playerId) {
+            return;
+        }
+
+        const reconciliation = await walletService.reconcile(playerId);
+        res.json({ success: true, data: reconciliation });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+};
+
+export const reconcileBalance = async (req, res) => {
+    try {
+        const { playerId } = req.params;
+        if (!mongoose.isValidObjectId(playerId)) {
+            return res.status(400).json({ success: false, error: 'Invalid playerId' });
+        }
+
+        const reconciliation = await walletService.reconcile(playerId, { repair: true });
+        if (reconciliation.repaired) {
+            syncSessionWallets(playerId, Object.fromEntries(
+                Object.entries(reconciliation.currencies).map(([currency, entry]) => [currency, entry.ledgerBalance])
+            ));
+        }
+
+        res.json({ success: true, data: reconciliation });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+};
+
+export const createAdjustment = async (req, res) => {
+    try {
+        const { playerId, amount, type = 'adjustment', reason } = req.body;
+        const currency = cryptoPriceService.getSymbol(req.body.currency);
+
+        if (!mongoose.isValidObjectId(playerId)) {
+            return res.status(400).json({ success: false, error: 'Invalid playerId' });
+        }
+
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0) {
+            return res.status(400).json({ success: false, error: 'amount must be a non-zero number' });
+        }
+
+        if (!ADJUSTMENT_TYPES.includes(type)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `type must be one of: ${ADJUSTMENT_TYPES.join(', ')}` 
+            });
+        }
+
+        if (!currency) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `currency must be one of: ${cryptoPriceService.supportedSymbols.join(', ')}` 
+            });
+        }
+
+        if (!reason) {
+            return res.status(400).json({ success: false, error: 'reason is required' });
+        }
+
+        const prices = await cryptoPriceService.getCurrentPrices();
+        const transaction = await walletService.record(playerId, {
+            type,
+            currency,
+            amount,
+            priceAtTime: prices[currency],
+            description: reason,
+            createdBy: req.player._id
+        });
+
+        syncSessionWallets(playerId, { [currency]: transaction.balanceAfter });
+
+        res.status(201).json({ success: true, data: transaction });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+};
@@ -0,0 +1,50 @@
+import authService from '../../services/auth-service.js';
+
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+export const requireAuth = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        return res.status(401).json({ 
+            success: false, 
+            error: 'Authorization token required' 
+        });
+    }
+
+    try {
+        req.player = await authService.getPlayerFromToken(token);
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, error: error.message });
+    }
+};
+
+// Attaches req.player when a valid token is sent, but lets anonymous requests through.
+export const optionalAuth = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        return next();
+    }
+
+    try {
+        req.player = await authService.getPlayerFromToken(token);
+        next();
+    } catch (error) {
+        res.status(401).json({ success: false, error: error.message });
+    }
+};
+
+// Use after requireAuth.
+export const requireRole = (...roles) => (req, res, next) => {
+    if (!req.player || !roles.includes(req.player.role)) {
+        return res.status(403).json({ 
+            success: false, 
+            error: 'You are not allowed to perform this action' 
+        });
+    }
+    next();
+};
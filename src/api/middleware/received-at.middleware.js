@@ -0,0 +1,6 @@
+// Stamps when a request reached the server, before any other middleware spends time
+// on it (body parsing, loading the player). Cashouts are priced at this moment.
+export const stampReceivedAt = (req, res, next) => {
+    req.receivedAt = Date.now();
+    next();
+};
@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// A chat line, kept so clients connecting later see recent conversation
+const chatMessageSchema = new mongoose.Schema({
+    // 'system' messages are written by the server, e.g. big win announcements
+    kind: {
+        type: String,
+        enum: ['player', 'system'],
+        default: 'player'
+    },
+    sessionId: String,
+    player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+    },
+    playerName: String,
+    text: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+chatMessageSchema.index({ createdAt: -1 });
+
+export default mongoose.model('ChatMessage', chatMessageSchema);
@@ -0,0 +1,22 @@
+import mongoose from "mongoose";
+
+// Messages published through the Mongo pub/sub adapter. Nodes read them from a change
+// stream as they are inserted; the TTL index only keeps the collection small.
+const clusterMessageSchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        required: true
+    },
+    origin: {
+        type: String,
+        required: true
+    },
+    payload: mongoose.Schema.Types.Mixed,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: 60
+    }
+});
+
+export default mongoose.model('ClusterMessage', clusterMessageSchema);
@@ -13,10 +13,34 @@ const gameRoundSchema = new mongoose.Schema({
         type: String,
         required: true
     },
-    crashPoint: {
-        type: Number,
-        required: true
+    chainId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'HashChain'
     },
+    chainIndex: Number,
+    publicSalt: String,
+    clientSeed: String,
+    nonce: Number,
+    crashParams: {
+        houseEdge: Number,
+        instantBustChance: Number,
+        maxMultiplier: Number
+    },
+    clientSeeds: [{
+        sessionId: {
+            type: String,
+            required: true
+        },
+        clientSeed: {
+            type: String,
+            required: true
+        },
+        submittedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    crashPoint: Number,
     status: {
         type: String,
         enum: ['waiting', 'betting', 'active', 'crashed', 'completed'],
@@ -24,6 +48,8 @@ const gameRoundSchema = new mongoose.Schema({
     },
     startTime: Date,
     crashTime: Date,
+    // Set when crash recovery closed the round after a restart
+    recoveredAt: Date,
     bettingEndTime: Date,
     totalBets: {
         type: Number,
@@ -45,12 +71,33 @@ const gameRoundSchema = new mongoose.Schema({
         usdAmount: Number,
         cryptoAmount: Number,
         cryptocurrency: String,
+        clientSeed: String,
         cashedOut: {
             type: Boolean,
             default: false
         },
+        autoCashoutAt: Number,
+        // Stake still riding after partial cashouts
+        remainingCryptoAmount: Number,
+        remainingUsdAmount: Number,
+        cashouts: [{
+            cryptoAmount: Number,
+            usdAmount: Number,
+            multiplier: Number,
+            payoutCrypto: Number,
+            payoutUsd: Number,
+            automatic: Boolean,
+            idempotencyKey: String,
+            cashoutTime: Date
+        }],
+        autoCashedOut: {
+            type: Boolean,
+            default: false
+        },
         cashoutMultiplier: Number,
         cashoutTime: Date,
+        idempotencyKey: String,
+        cashoutIdempotencyKey: String,
         betTime: {
             type: Date,
             default: Date.now
@@ -60,5 +107,10 @@ const gameRoundSchema = new mongoose.Schema({
     timestamps: true
 });
 
+gameRoundSchema.index({ roundNumber: 1 });
+// Player bet history
+gameRoundSchema.index({ 'activeBets.sessionId': 1 });
+// Daily and weekly leaderboards
+gameRoundSchema.index({ startTime: -1 });
 
 export default mongoose.model('GameRound', gameRoundSchema);
\ No newline at end of file
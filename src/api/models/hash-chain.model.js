@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+const hashChainSchema = new mongoose.Schema({
+    rootSeed: {
+        type: String,
+        required: true,
+        select: false
+    },
+    length: {
+        type: Number,
+        required: true
+    },
+    terminalHash: {
+        type: String,
+        required: true
+    },
+    nextIndex: {
+        type: Number,
+        default: 0
+    },
+    status: {
+        type: String,
+        enum: ['active', 'exhausted'],
+        default: 'active'
+    }
+}, {
+    timestamps: true
+});
+
+hashChainSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('HashChain', hashChainSchema);
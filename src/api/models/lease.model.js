@@ -0,0 +1,20 @@
+import mongoose from "mongoose";
+
+// A named lease held by one node until it expires. Used for round leader election.
+const leaseSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    holder: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+export default mongoose.model('Lease', leaseSchema);
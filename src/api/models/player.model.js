@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+import bcrypt from 'bcryptjs';
+import authConfig from '../../config/auth.js';
+
+const playerSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true,
+        trim: true,
+        minlength: 3,
+        maxlength: 20,
+        match: /^[A-Za-z0-9_]+$/
+    },
+    usernameLower: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    passwordHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    role: {
+        type: String,
+        enum: ['player', 'moderator', 'admin'],
+        default: 'player'
+    },
+    // Running totals of the player's Transaction ledger, one per coin
+    wallets: {
+        BTC: { type: Number, default: 0 },
+        ETH: { type: Number, default: 0 },
+        BNB: { type: Number, default: 0 },
+        ADA: { type: Number, default: 0 }
+    },
+    totalBets: {
+        type: Number,
+        default: 0
+    },
+    totalWins: {
+        type: Number,
+        default: 0
+    },
+    totalWinnings: {
+        type: Number,
+        default: 0
+    },
+    lastLoginAt: Date
+}, {
+    timestamps: true
+});
+
+playerSchema.methods.setPassword = async function (password) {
+    this.passwordHash = await bcrypt.hash(password, authConfig.bcryptRounds);
+};
+
+playerSchema.methods.comparePassword = function (password) {
+    return bcrypt.compare(password, this.passwordHash);
+};
+
+playerSchema.methods.toPublicJSON = function () {
+    return {
+        id: this._id.toString(),
+        username: this.username,
+        role: this.role,
+        wallets: this.toObject().wallets,
+        totalBets: this.totalBets,
+        totalWins: this.totalWins,
+        totalWinnings: this.totalWinnings,
+        createdAt: this.createdAt
+    };
+};
+
+export default mongoose.model('Player', playerSchema);
@@ -0,0 +1,68 @@
+import mongoose from "mongoose";
+
+// What crash recovery did with one bet of a round a previous process left open
+const recoveryAuditSchema = new mongoose.Schema({
+    round: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GameRound',
+        required: true
+    },
+    roundNumber: Number,
+    // Phase the round was left in
+    roundStatus: {
+        type: String,
+        enum: ['betting', 'active']
+    },
+    bet: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    sessionId: String,
+    player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+    },
+    playerName: String,
+    currency: String,
+    // Policy applied to stake still riding when the round was left
+    policy: {
+        type: String,
+        enum: ['refund', 'lost']
+    },
+    resolution: {
+        type: String,
+        enum: ['refunded', 'lost', 'paid', 'void'],
+        required: true
+    },
+    stakeUsd: Number,
+    paidOutUsd: {
+        type: Number,
+        default: 0
+    },
+    refundCrypto: {
+        type: Number,
+        default: 0
+    },
+    refundUsd: {
+        type: Number,
+        default: 0
+    },
+    lostUsd: {
+        type: Number,
+        default: 0
+    },
+    reason: String,
+    transactions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    }],
+    // Set once the player has been told about it
+    notifiedAt: Date
+}, {
+    timestamps: true
+});
+
+recoveryAuditSchema.index({ round: 1, bet: 1 }, { unique: true });
+recoveryAuditSchema.index({ player: 1, notifiedAt: 1 });
+
+export default mongoose.model('RecoveryAudit', recoveryAuditSchema);
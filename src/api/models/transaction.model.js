@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+// One ledger entry per balance movement. Every entry names the account it debits
+// and the account it credits, so money moving between a player and the house is
+// recorded once with both sides.
+const transactionSchema = new mongoose.Schema({
+    player: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['bet', 'payout', 'deposit', 'adjustment', 'refund', 'swap'],
+        required: true
+    },
+    currency: {
+        type: String,
+        enum: ['BTC', 'ETH', 'BNB', 'ADA'],
+        required: true
+    },
+    // Amount and balances are in `currency`; usdValue is the amount at priceAtTime
+    amount: {
+        type: Number,
+        required: true
+    },
+    usdValue: Number,
+    priceAtTime: Number,
+    debitAccount: {
+        type: String,
+        required: true
+    },
+    creditAccount: {
+        type: String,
+        required: true
+    },
+    balanceBefore: {
+        type: Number,
+        required: true
+    },
+    balanceAfter: {
+        type: Number,
+        required: true
+    },
+    round: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GameRound'
+    },
+    roundNumber: Number,
+    // Links the two legs of a swap
+    reference: String,
+    // Set for entries that must only ever be written once, e.g. the stake of a bet
+    idempotencyKey: String,
+    description: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Player'
+    }
+}, {
+    timestamps: true
+});
+
+transactionSchema.index({ player: 1, createdAt: -1 });
+transactionSchema.index({ reference: 1 }, { sparse: true });
+transactionSchema.index(
+    { player: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+export default mongoose.model('Transaction', transactionSchema);
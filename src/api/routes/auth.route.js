@@ -0,0 +1,11 @@
+import express from 'express';
+import { register, login, getMe } from '../controllers/Auth.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.post('/register', register);
+router.post('/login', login);
+router.get('/me', requireAuth, getMe);
+
+export default router;
@@ -1,11 +1,16 @@
 import express from 'express';
-import { getGameState, placeBet, cashOut, getCryptoPrices } from '../controllers/Game.controller.js';
+import { getGameState, placeBet, cashOut, getCryptoPrices, getFairnessInfo, verifyRound, getRounds, getRound } from '../controllers/Game.controller.js';
+import { optionalAuth } from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
 router.get('/state', getGameState);
-router.post('/bet', placeBet);
-router.post('/cashout', cashOut);
+router.post('/bet', optionalAuth, placeBet);
+router.post('/cashout', optionalAuth, cashOut);
 router.get('/prices', getCryptoPrices);
+router.get('/fairness', getFairnessInfo);
+router.get('/rounds', getRounds);
+router.get('/rounds/:roundNumber', getRound);
+router.get('/rounds/:roundNumber/verify', verifyRound);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,8 @@
+import express from 'express';
+import { getLeaderboard } from '../controllers/Leaderboard.controller.js';
+
+const router = express.Router();
+
+router.get('/', getLeaderboard);
+
+export default router;
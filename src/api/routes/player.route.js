@@ -0,0 +1,11 @@
+import express from 'express';
+import { getPlayerBets } from '../controllers/Player.controller.js';
+import { requireAuth } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/:id/bets', getPlayerBets);
+
+export default router;
@@ -0,0 +1,16 @@
+import express from 'express';
+import { getWallets, swap, getTransactions, getBalance, reconcileBalance, createAdjustment } from '../controllers/Wallet.controller.js';
+import { requireAuth, requireRole } from '../middleware/auth.middleware.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', getWallets);
+router.post('/swap', swap);
+router.get('/transactions', getTransactions);
+router.get('/balance', getBalance);
+router.post('/reconcile/:playerId', requireRole('admin'), reconcileBalance);
+router.post('/adjustments', requireRole('admin'), createAdjustment);
+
+export default router;
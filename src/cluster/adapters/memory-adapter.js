@@ -0,0 +1,38 @@
+import { EventEmitter } from 'node:events';
+
+const sharedBus = new EventEmitter();
+sharedBus.setMaxListeners(0);
+
+// In-process pub/sub. Adapters created with the same bus (the module-wide one by
+// default) see each other's messages, which lets several nodes run in one process.
+// Messages are delivered asynchronously and as copies, like a real broker.
+class MemoryAdapter {
+    constructor({ nodeId, bus = sharedBus }) {
+        this.nodeId = nodeId;
+        this.bus = bus;
+        this.subscriptions = [];
+    }
+
+    async publish(channel, payload) {
+        const message = JSON.stringify({ origin: this.nodeId, payload });
+        setImmediate(() => this.bus.emit(channel, message));
+    }
+
+    async subscribe(channel, handler) {
+        const listener = (message) => {
+            const { origin, payload } = JSON.parse(message);
+            handler(payload, origin);
+        };
+        this.bus.on(channel, listener);
+        this.subscriptions.push({ channel, listener });
+    }
+
+    async close() {
+        for (const { channel, listener } of this.subscriptions) {
+            this.bus.off(channel, listener);
+        }
+        this.subscriptions = [];
+    }
+}
+
+export default MemoryAdapter;
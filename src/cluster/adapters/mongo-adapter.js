@@ -0,0 +1,54 @@
+import ClusterMessage from '../../api/models/cluster-message.model.js';
+
+// Pub/sub over a MongoDB collection: publishing inserts a document and every node
+// follows inserts through one change stream. Change streams need a replica set.
+class MongoAdapter {
+    constructor({ nodeId }) {
+        this.nodeId = nodeId;
+        this.handlers = new Map();
+        this.stream = null;
+        this.closed = false;
+    }
+
+    async publish(channel, payload) {
+        await ClusterMessage.create({ channel, origin: this.nodeId, payload });
+    }
+
+    async subscribe(channel, handler) {
+        if (!this.handlers.has(channel)) {
+            this.handlers.set(channel, []);
+        }
+        this.handlers.get(channel).push(handler);
+        this.watch();
+    }
+
+    watch() {
+        if (this.stream || this.closed) {
+            return;
+        }
+
+        this.stream = ClusterMessage.watch([{ $match: { operationType: 'insert' } }]);
+        this.stream.on('change', ({ fullDocument }) => {
+            for (const handler of this.handlers.get(fullDocument.channel) || []) {
+                handler(fullDocument.payload, fullDocument.origin);
+            }
+        });
+        this.stream.on('error', (error) => {
+            console.error('❌ Cluster change stream failed, reopening:', error.message);
+            this.stream = null;
+            setTimeout(() => this.watch(), 1000);
+        });
+    }
+
+    async close() {
+        this.closed = true;
+        this.handlers.clear();
+        if (this.stream) {
+            const stream = this.stream;
+            this.stream = null;
+            await stream.close();
+        }
+    }
+}
+
+export default MongoAdapter;
@@ -0,0 +1,211 @@
+import crypto from 'node:crypto';
+import { GAME_EVENTS } from '../services/game-events.js';
+import { GameError } from '../services/game-errors.js';
+
+const EVENTS_CHANNEL = 'game-events';
+const RPC_CHANNEL = 'rpc';
+const CHAT_CHANNEL = 'chat';
+const replyChannel = (nodeId) => `rpc-reply:${nodeId}`;
+
+// Engine commands a follower may run on the leader
+const FORWARDED_METHODS = ['placeBet', 'cashOut'];
+
+// Events that change a single bet; the rest start or end a phase of the round
+const BET_EVENTS = [GAME_EVENTS.BET_PLACED, GAME_EVENTS.CASHED_OUT];
+
+// One server process in a cluster. Exactly one node, the holder of the leader lease,
+// runs the round loop. It publishes every engine event along with the game state;
+// followers re-emit those events on their own engine so their transports work
+// unchanged, and forward bets and cashouts to the leader over RPC. Chat, when given,
+// is relayed between all nodes whatever their role.
+class ClusterNode {
+    constructor({ engine, chat = null, adapter, election, nodeId, rpcTimeoutMs, maxClockSkewMs = 2000 }) {
+        this.engine = engine;
+        this.chat = chat;
+        this.adapter = adapter;
+        this.election = election;
+        this.nodeId = nodeId;
+        this.rpcTimeoutMs = rpcTimeoutMs;
+        this.maxClockSkewMs = maxClockSkewMs;
+        this.pending = new Map();
+        this.remoteState = null;
+    }
+
+    get isLeader() {
+        return this.election.isLeader;
+    }
+
+    async start() {
+        await this.adapter.subscribe(EVENTS_CHANNEL, (message, origin) => this.handleEvent(message, origin));
+        await this.adapter.subscribe(RPC_CHANNEL, (request, origin) => this.handleRequest(request, origin));
+        await this.adapter.subscribe(replyChannel(this.nodeId), (reply) => this.handleReply(reply));
+
+        if (this.chat) {
+            await this.adapter.subscribe(CHAT_CHANNEL, (change, origin) => {
+                if (origin !== this.nodeId) {
+                    this.chat.receiveRelay(change);
+                }
+            });
+            this.chat.on('relay', (change) => {
+                this.adapter.publish(CHAT_CHANNEL, change).catch(error => {
+                    console.error('❌ Failed to relay chat:', error.message);
+                });
+            });
+        }
+
+        for (const event of Object.values(GAME_EVENTS)) {
+            this.engine.on(event, (payload) => this.publishEvent(event, payload));
+        }
+
+        this.election.on('elected', () => this.lead());
+        this.election.on('demoted', () => this.follow());
+        this.follow();
+        await this.election.start();
+    }
+
+    async stop() {
+        await this.election.stop();
+        await this.adapter.close();
+    }
+
+    async lead() {
+        console.log(`👑 Node ${this.nodeId} is now the round leader`);
+        this.engine.remote = null;
+        try {
+            await this.engine.start();
+        } catch (error) {
+            console.error('❌ Failed to start the round loop, giving up leadership:', error);
+            await this.election.resign();
+        }
+    }
+
+    follow() {
+        console.log(`📡 Node ${this.nodeId} is following the round leader`);
+        this.engine.stop();
+        this.engine.remote = this;
+    }
+
+    publishEvent(event, payload) {
+        if (!this.isLeader) {
+            return;
+        }
+
+        // The round's bets go out in full only with phase events. Ticks carry none and bet
+        // events only the bet they changed, so messages stay the same size however many
+        // bets the round has.
+        const { activeBets, ...state } = this.engine.getRoundState();
+        const message = { event, payload, state };
+        if (BET_EVENTS.includes(event)) {
+            message.bet = this.engine.getBetState(payload.betId ?? payload.bet?.betId);
+        } else if (event !== GAME_EVENTS.TICK) {
+            message.activeBets = activeBets;
+        }
+
+        this.adapter.publish(EVENTS_CHANNEL, message).catch(error => {
+            console.error(`❌ Failed to publish ${event}:`, error.message);
+        });
+    }
+
+    handleEvent({ event, payload, state, activeBets, bet }, origin) {
+        if (origin === this.nodeId || this.isLeader) {
+            return;
+        }
+
+        this.remoteState = { ...state, activeBets: activeBets ?? this.patchActiveBets(bet) };
+
+        // Keep local copies of the player's wallets in step with the leader's
+        const session = payload.sessionId && this.engine.sessions.get(payload.sessionId);
+        if (session && payload.result?.wallets) {
+            session.wallets = payload.result.wallets;
+        }
+
+        this.engine.emit(event, payload);
+    }
+
+    // A follower that joined mid-round only knows the bets placed since; the next
+    // phase event brings the full list
+    patchActiveBets(bet) {
+        const activeBets = [...(this.remoteState?.activeBets || [])];
+        if (bet) {
+            const index = activeBets.findIndex(entry => String(entry._id) === String(bet._id));
+            activeBets.splice(index === -1 ? activeBets.length : index, 1, bet);
+        }
+        return activeBets;
+    }
+
+    getGameState() {
+        return this.remoteState;
+    }
+
+    call(method, args) {
+        const id = crypto.randomUUID();
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error('Game server did not respond, please retry'));
+            }, this.rpcTimeoutMs);
+            this.pending.set(id, { resolve, reject, timer });
+
+            this.adapter.publish(RPC_CHANNEL, { id, method, args }).catch(error => {
+                clearTimeout(timer);
+                this.pending.delete(id);
+                reject(error);
+            });
+        });
+    }
+
+    handleReply({ id, result, error, code }) {
+        const pending = this.pending.get(id);
+        if (!pending) {
+            return;
+        }
+
+        clearTimeout(pending.timer);
+        this.pending.delete(id);
+        if (error) {
+            pending.reject(code ? new GameError(code, error) : new Error(error));
+        } else {
+            pending.resolve(result);
+        }
+    }
+
+    // A forwarded cashout is priced at the time the follower received it. Nodes trust
+    // each other, but that time is kept between maxClockSkewMs ago and now on the
+    // leader's clock.
+    clampReceivedAt(receivedAt) {
+        const now = Date.now();
+        if (!Number.isFinite(receivedAt)) {
+            return now;
+        }
+        return Math.min(now, Math.max(receivedAt, now - this.maxClockSkewMs));
+    }
+
+    async handleRequest({ id, method, args }, origin) {
+        if (!this.isLeader) {
+            return;
+        }
+
+        let reply;
+        try {
+            if (!FORWARDED_METHODS.includes(method)) {
+                throw new Error(`Unknown cluster method: ${method}`);
+            }
+
+            if (method === 'cashOut') {
+                args[1] = { ...args[1], receivedAt: this.clampReceivedAt(args[1]?.receivedAt) };
+            }
+
+            await this.engine.syncSession(args[0]);
+            reply = { id, result: await this.engine[method](...args) };
+        } catch (error) {
+            reply = { id, error: error.message, code: error.code };
+        }
+
+        this.adapter.publish(replyChannel(origin), reply).catch(error => {
+            console.error(`❌ Failed to answer ${method} from ${origin}:`, error.message);
+        });
+    }
+}
+
+export default ClusterNode;
@@ -0,0 +1,32 @@
+import gameEngine from '../services/game-engine.js';
+import chatService from '../services/chat-service.js';
+import clusterConfig from '../config/cluster.js';
+import ClusterNode from './cluster-node.js';
+import { LeaderElection, MemoryLeaseStore, MongoLeaseStore } from './leader-election.js';
+import MemoryAdapter from './adapters/memory-adapter.js';
+import MongoAdapter from './adapters/mongo-adapter.js';
+
+// The memory adapter keeps leases in memory too, so everything it connects has to
+// live in one process. The Mongo adapter works across processes and machines.
+const useMemory = clusterConfig.adapter === 'memory';
+
+const clusterNode = new ClusterNode({
+    engine: gameEngine,
+    chat: chatService,
+    nodeId: clusterConfig.nodeId,
+    rpcTimeoutMs: clusterConfig.rpcTimeoutMs,
+    maxClockSkewMs: clusterConfig.maxClockSkewMs,
+    adapter: useMemory
+        ? new MemoryAdapter({ nodeId: clusterConfig.nodeId })
+        : new MongoAdapter({ nodeId: clusterConfig.nodeId }),
+    election: new LeaderElection({
+        name: clusterConfig.leaseName,
+        nodeId: clusterConfig.nodeId,
+        ttlMs: clusterConfig.leaseTtlMs,
+        renewIntervalMs: clusterConfig.leaseRenewIntervalMs,
+        store: useMemory ? new MemoryLeaseStore() : new MongoLeaseStore()
+    })
+});
+
+export { ClusterNode, LeaderElection, MemoryLeaseStore, MongoLeaseStore, MemoryAdapter, MongoAdapter };
+export default clusterNode;
@@ -0,0 +1,116 @@
+import { EventEmitter } from 'node:events';
+import Lease from '../api/models/lease.model.js';
+
+// Stores leases in MongoDB. Acquiring only matches a lease this node already holds or
+// one that has expired; when another node holds a live lease the upsert collides with
+// the existing _id and the attempt fails.
+export class MongoLeaseStore {
+    async acquire(name, holder, ttlMs) {
+        const now = Date.now();
+        try {
+            const lease = await Lease.findOneAndUpdate(
+                { _id: name, $or: [{ holder }, { expiresAt: { $lte: new Date(now) } }] },
+                { $set: { holder, expiresAt: new Date(now + ttlMs) } },
+                { upsert: true, new: true }
+            );
+            return lease.holder === holder;
+        } catch (error) {
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async release(name, holder) {
+        await Lease.updateOne({ _id: name, holder }, { $set: { expiresAt: new Date(0) } });
+    }
+}
+
+// Same semantics within one process, for running several nodes side by side locally.
+export class MemoryLeaseStore {
+    constructor() {
+        this.leases = new Map();
+    }
+
+    async acquire(name, holder, ttlMs) {
+        const now = Date.now();
+        const lease = this.leases.get(name);
+        if (lease && lease.holder !== holder && lease.expiresAt > now) {
+            return false;
+        }
+
+        this.leases.set(name, { holder, expiresAt: now + ttlMs });
+        return true;
+    }
+
+    async release(name, holder) {
+        if (this.leases.get(name)?.holder === holder) {
+            this.leases.delete(name);
+        }
+    }
+}
+
+// Keeps trying to acquire or renew the lease. Emits 'elected' when this node becomes
+// leader and 'demoted' as soon as a renewal fails, so a node never keeps acting as
+// leader on a lease that may have passed to someone else.
+export class LeaderElection extends EventEmitter {
+    constructor({ name, nodeId, ttlMs, renewIntervalMs, store = new MongoLeaseStore() }) {
+        super();
+        this.name = name;
+        this.nodeId = nodeId;
+        this.ttlMs = ttlMs;
+        this.renewIntervalMs = renewIntervalMs;
+        this.store = store;
+        this.isLeader = false;
+        this.timer = null;
+    }
+
+    async start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => this.renew(), this.renewIntervalMs);
+        await this.renew();
+    }
+
+    async renew() {
+        let acquired = false;
+        try {
+            acquired = await this.store.acquire(this.name, this.nodeId, this.ttlMs);
+        } catch (error) {
+            console.error('❌ Failed to renew leader lease:', error.message);
+        }
+
+        if (acquired && !this.isLeader) {
+            this.isLeader = true;
+            this.emit('elected');
+        } else if (!acquired && this.isLeader) {
+            this.isLeader = false;
+            this.emit('demoted');
+        }
+    }
+
+    // Gives the lease up but keeps competing for it, e.g. after failing to lead
+    async resign() {
+        if (!this.isLeader) {
+            return;
+        }
+
+        this.isLeader = false;
+        this.emit('demoted');
+        await this.store.release(this.name, this.nodeId);
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+
+        if (this.isLeader) {
+            this.isLeader = false;
+            this.emit('demoted');
+            await this.store.release(this.name, this.nodeId);
+        }
+    }
+}
@@ -0,0 +1,20 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+const DEV_JWT_SECRET = 'crash-game-dev-secret';
+
+// The built-in secret is only for local development and tests. app.js runs as
+// production when NODE_ENV is unset, so every other environment needs JWT_SECRET.
+const allowsDevSecret = ['development', 'test'].includes(process.env.NODE_ENV);
+
+if (!process.env.JWT_SECRET && !allowsDevSecret) {
+    throw new Error('JWT_SECRET must be set unless NODE_ENV is development or test');
+}
+
+const authConfig = {
+    jwtSecret: process.env.JWT_SECRET || DEV_JWT_SECRET,
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS, 10) || 10
+};
+
+export default authConfig;
@@ -0,0 +1,32 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// A few common words; deployments extend or replace the list with CHAT_BANNED_WORDS
+const DEFAULT_BANNED_WORDS = ['fuck', 'shit', 'cunt', 'bitch', 'asshole', 'nigger', 'faggot'];
+
+const parseNumber = (value, fallback) => {
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? fallback : number;
+};
+
+const parseList = (value) => value.split(',').map(word => word.trim().toLowerCase()).filter(Boolean);
+
+const chatConfig = {
+    // Messages kept in memory and sent to every client on connect
+    historySize: parseInt(process.env.CHAT_HISTORY_SIZE, 10) || 50,
+    maxLength: parseInt(process.env.CHAT_MAX_LENGTH, 10) || 200,
+    // Messages a session may send per window, across all of its sockets
+    rateLimit: {
+        windowMs: parseInt(process.env.CHAT_RATE_LIMIT_WINDOW_MS, 10) || 10000,
+        maxMessages: parseInt(process.env.CHAT_RATE_LIMIT, 10) || 5
+    },
+    // Whole words masked with asterisks, matched case-insensitively. Left empty, the
+    // built-in list applies
+    bannedWords: process.env.CHAT_BANNED_WORDS ? parseList(process.env.CHAT_BANNED_WORDS) : DEFAULT_BANNED_WORDS,
+    // Mute length when a moderator does not give one
+    defaultMuteMs: parseInt(process.env.CHAT_DEFAULT_MUTE_MS, 10) || 10 * 60 * 1000,
+    // Cashouts with at least this much USD profit are announced in chat; 0 announces every win
+    bigWinUsd: parseNumber(process.env.CHAT_BIG_WIN_USD, 1000)
+};
+
+export default chatConfig;
@@ -0,0 +1,29 @@
+import crypto from 'node:crypto';
+import os from 'node:os';
+import dotenv from 'dotenv';
+dotenv.config();
+
+const adapter = process.env.CLUSTER_ADAPTER || 'mongo';
+
+if (!['mongo', 'memory'].includes(adapter)) {
+    throw new Error('CLUSTER_ADAPTER must be "mongo" or "memory"');
+}
+
+const leaseTtlMs = parseInt(process.env.CLUSTER_LEASE_TTL_MS, 10) || 10000;
+
+const clusterConfig = {
+    // Off by default: a single node runs the round loop without electing itself
+    enabled: process.env.CLUSTER_ENABLED === 'true',
+    nodeId: process.env.CLUSTER_NODE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString('hex')}`,
+    adapter,
+    leaseName: 'round-leader',
+    leaseTtlMs,
+    // Renewing well inside the TTL lets a leader miss a renewal without losing the lease
+    leaseRenewIntervalMs: Math.floor(leaseTtlMs / 3),
+    rpcTimeoutMs: parseInt(process.env.CLUSTER_RPC_TIMEOUT_MS, 10) || 5000,
+    // How far a follower's receive time of a forwarded cashout may lag the leader's clock,
+    // covering both clock drift and the trip over the adapter
+    maxClockSkewMs: parseInt(process.env.CLUSTER_MAX_CLOCK_SKEW_MS, 10) || 2000
+};
+
+export default clusterConfig;
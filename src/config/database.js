@@ -4,6 +4,8 @@ dotenv.config();
 
 const DATABASE_URL = process.env.DATABASE_URL
 
+let transactionsSupported = null;
+
 const connectDB = async () => {
     try {
         await mongoose.connect(DATABASE_URL)
@@ -14,4 +16,41 @@ const connectDB = async () => {
     }
 }
 
-export default connectDB;
\ No newline at end of file
+// Multi-document transactions need a replica set or a sharded cluster.
+export const supportsTransactions = async () => {
+    if (transactionsSupported === null) {
+        try {
+            const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+            transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+        } catch (error) {
+            transactionsSupported = false;
+        }
+
+        if (!transactionsSupported) {
+            console.warn('MongoDB transactions unavailable, falling back to conditional updates with compensation');
+        }
+    }
+    return transactionsSupported;
+};
+
+// Runs `work(session)` inside a transaction when the deployment supports them,
+// otherwise runs it with a null session. `work` may be retried by the driver on
+// transient errors, so it should only touch the database.
+export const runInTransaction = async (work) => {
+    if (!(await supportsTransactions())) {
+        return work(null);
+    }
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+export default connectDB;
@@ -0,0 +1,57 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+const maxBetsPerRound = parseInt(process.env.MAX_BETS_PER_ROUND, 10) || 3;
+
+if (maxBetsPerRound < 1) {
+    throw new Error('MAX_BETS_PER_ROUND must be at least 1');
+}
+
+const growthRate = parseFloat(process.env.MULTIPLIER_GROWTH_RATE) || 0.08;
+
+if (growthRate <= 0) {
+    throw new Error('MULTIPLIER_GROWTH_RATE must be positive');
+}
+
+const activeBetPolicy = process.env.RECOVERY_ACTIVE_BET_POLICY || 'refund';
+
+if (!['refund', 'lost'].includes(activeBetPolicy)) {
+    throw new Error('RECOVERY_ACTIVE_BET_POLICY must be "refund" or "lost"');
+}
+
+const readDuration = (name, fallback) => {
+    const value = process.env[name] ? parseInt(process.env[name], 10) : fallback;
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative number of milliseconds`);
+    }
+    return value;
+};
+
+const tickIntervalMs = readDuration('TICK_INTERVAL_MS', 1000);
+
+if (tickIntervalMs < 50) {
+    throw new Error('TICK_INTERVAL_MS must be at least 50');
+}
+
+const gameConfig = {
+    // Bets a single session may have open in one round
+    maxBetsPerRound,
+    // The multiplier is e^(growthRate * seconds since the round started)
+    curve: { growthRate },
+    // How often tick events keep consumers in step during betting and the active phase
+    tickIntervalMs,
+    // Fixed phase lengths in milliseconds. The active phase lasts until the crash and
+    // the crashed phase until every bet of the round is settled.
+    phases: {
+        waiting: readDuration('WAITING_PHASE_MS', 2000),
+        betting: readDuration('BETTING_PHASE_MS', 5000),
+        settled: readDuration('SETTLED_PHASE_MS', 3000)
+    },
+    recovery: {
+        // What happens on restart to stake still riding in a round that had already started.
+        // Bets in a round that was still taking bets are always refunded.
+        activeBetPolicy
+    }
+};
+
+export default gameConfig;
@@ -0,0 +1,13 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+const leaderboardConfig = {
+    // Entries per board
+    size: parseInt(process.env.LEADERBOARD_SIZE, 10) || 10,
+    // The round leader rebuilds the daily and weekly boards after every settled round. The
+    // all-time board, and every board on follower nodes, is rebuilt once older than this,
+    // which also keeps the rolling windows moving between rounds
+    cacheTtlMs: parseInt(process.env.LEADERBOARD_CACHE_TTL_MS, 10) || 60000
+};
+
+export default leaderboardConfig;
@@ -0,0 +1,35 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Local stand-in for a public salt, e.g. the hash of a Bitcoin block mined after
+// the hash chain was committed. Production deployments set PROVABLY_FAIR_PUBLIC_SALT.
+const FIXTURE_PUBLIC_SALT = '0000000000000000000301e1c6e3f4a1ff3e1f8b4b6c2a7d55c4f0e9b2d3a1c7';
+
+const parseNumber = (value, fallback) => {
+    const parsed = parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const provablyFairConfig = {
+    publicSalt: process.env.PROVABLY_FAIR_PUBLIC_SALT || FIXTURE_PUBLIC_SALT,
+    maxClientSeedLength: 64,
+    crash: {
+        houseEdge: parseNumber(process.env.HOUSE_EDGE_PERCENT, 1), // % of every stake kept by the house
+        instantBustChance: parseNumber(process.env.INSTANT_BUST_PERCENT, 0), // % of rounds crashing at 1.00x
+        maxMultiplier: parseNumber(process.env.MAX_MULTIPLIER, 1000)
+    }
+};
+
+if (provablyFairConfig.crash.houseEdge < 0 || provablyFairConfig.crash.houseEdge >= 100) {
+    throw new Error('HOUSE_EDGE_PERCENT must be between 0 and 100');
+}
+
+if (provablyFairConfig.crash.instantBustChance < 0 || provablyFairConfig.crash.instantBustChance >= 100) {
+    throw new Error('INSTANT_BUST_PERCENT must be between 0 and 100');
+}
+
+if (provablyFairConfig.crash.maxMultiplier < 1) {
+    throw new Error('MAX_MULTIPLIER must be at least 1');
+}
+
+export default provablyFairConfig;
@@ -0,0 +1,21 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+const readDuration = (name, fallback) => {
+    const value = process.env[name] ? parseInt(process.env[name], 10) : fallback;
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${name} must be a non-negative number of milliseconds`);
+    }
+    return value;
+};
+
+const shutdownConfig = {
+    // Longest a SIGTERM waits for the current round to settle. Render sends SIGKILL
+    // 30 seconds after SIGTERM by default, so this leaves time to close connections.
+    drainTimeoutMs: readDuration('SHUTDOWN_DRAIN_TIMEOUT_MS', 25000),
+    // Sent to clients as the earliest time to reconnect; each client gets up to the
+    // same again as jitter so they do not all come back at once
+    reconnectDelayMs: readDuration('SHUTDOWN_RECONNECT_DELAY_MS', 2000)
+};
+
+export default shutdownConfig;
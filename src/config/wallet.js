@@ -0,0 +1,9 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+const walletConfig = {
+    // USD value every new session starts with, split evenly across the supported coins
+    startingBalanceUsd: parseFloat(process.env.STARTING_BALANCE_USD) || 1000
+};
+
+export default walletConfig;
@@ -0,0 +1,37 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+const websocketConfig = {
+    resume: {
+        // How long after a socket drops its resume token can still be used
+        tokenTtlMs: parseInt(process.env.RESUME_TOKEN_TTL_MS, 10) || 5 * 60 * 1000,
+        // Session events kept per session for replay after a resume
+        bufferSize: parseInt(process.env.RESUME_BUFFER_SIZE, 10) || 50
+    },
+    backpressure: {
+        // Above this many queued bytes a client is skipped for ticks; the next tick it can
+        // take carries the latest multiplier, so skipped ticks are coalesced rather than queued
+        tickDropBytes: parseInt(process.env.WS_TICK_DROP_BYTES, 10) || 64 * 1024,
+        // A client with this much queued, or skipping ticks for longer than stuckTimeoutMs,
+        // is disconnected
+        maxBufferedBytes: parseInt(process.env.WS_MAX_BUFFERED_BYTES, 10) || 1024 * 1024,
+        stuckTimeoutMs: parseInt(process.env.WS_STUCK_TIMEOUT_MS, 10) || 10000
+    },
+    // Every socket is pinged this often and terminated if it has not answered the previous ping
+    heartbeatIntervalMs: parseInt(process.env.WS_HEARTBEAT_INTERVAL_MS, 10) || 30000,
+    maxConnectionsPerIp: parseInt(process.env.WS_MAX_CONNECTIONS_PER_IP, 10) || 20,
+    // Proxies in front of the server that append to X-Forwarded-For. The client address is
+    // the entry the outermost of them appended; anything left of it is up to the client.
+    // TRUST_PROXY=true means one.
+    trustedProxyHops: process.env.TRUST_PROXY === 'true' ? 1 : parseInt(process.env.TRUST_PROXY, 10) || 0,
+    rateLimit: {
+        windowMs: parseInt(process.env.WS_RATE_LIMIT_WINDOW_MS, 10) || 1000,
+        // Messages of each type a single connection may send per window
+        maxMessages: {
+            place_bet: parseInt(process.env.WS_PLACE_BET_RATE_LIMIT, 10) || 5,
+            cash_out: parseInt(process.env.WS_CASH_OUT_RATE_LIMIT, 10) || 10
+        }
+    }
+};
+
+export default websocketConfig;
@@ -0,0 +1,105 @@
+import jwt from 'jsonwebtoken';
+import Player from '../api/models/player.model.js';
+import Transaction from '../api/models/transaction.model.js';
+import authConfig from '../config/auth.js';
+import { runInTransaction, supportsTransactions } from '../config/database.js';
+import walletService from './wallet-service.js';
+import { GameError, ERROR_CODES } from './game-errors.js';
+
+class AuthService {
+    validateCredentials(username, password) {
+        if (typeof username !== 'string' || !/^[A-Za-z0-9_]{3,20}$/.test(username.trim())) {
+            throw new Error('Username must be 3-20 characters of letters, numbers or underscores');
+        }
+
+        if (typeof password !== 'string' || password.length < 8) {
+            throw new Error('Password must be at least 8 characters');
+        }
+    }
+
+    async register(username, password) {
+        this.validateCredentials(username, password);
+
+        const trimmed = username.trim();
+        const existing = await Player.findOne({ usernameLower: trimmed.toLowerCase() });
+        if (existing) {
+            throw new Error('Username is already taken');
+        }
+
+        const draft = new Player({
+            username: trimmed,
+            usernameLower: trimmed.toLowerCase()
+        });
+        await draft.setPassword(password);
+
+        // The account and its starting balance are created together, so a failed deposit
+        // never leaves an empty account holding the username
+        let player;
+        try {
+            await runInTransaction(async (session) => {
+                [player] = await Player.create([draft.toObject()], { session });
+                for (const deposit of await walletService.depositStartingBalance(player._id, { session })) {
+                    player.wallets[deposit.currency] = deposit.balanceAfter;
+                }
+            });
+        } catch (error) {
+            if (player && !(await supportsTransactions())) {
+                await Transaction.deleteMany({ player: player._id });
+                await Player.deleteOne({ _id: player._id });
+            }
+            if (error.code === 11000) {
+                throw new Error('Username is already taken');
+            }
+            throw error;
+        }
+
+        return { player, token: this.signToken(player) };
+    }
+
+    async login(username, password) {
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            throw new Error('Invalid username or password');
+        }
+
+        const player = await Player.findOne({ usernameLower: username.trim().toLowerCase() })
+            .select('+passwordHash');
+
+        if (!player || !(await player.comparePassword(password))) {
+            throw new Error('Invalid username or password');
+        }
+
+        player.lastLoginAt = new Date();
+        await player.save();
+
+        return { player, token: this.signToken(player) };
+    }
+
+    signToken(player) {
+        return jwt.sign(
+            { sub: player._id.toString(), username: player.username, role: player.role },
+            authConfig.jwtSecret,
+            { expiresIn: authConfig.jwtExpiresIn }
+        );
+    }
+
+    verifyToken(token) {
+        try {
+            return jwt.verify(token, authConfig.jwtSecret);
+        } catch (error) {
+            throw new GameError(ERROR_CODES.UNAUTHORIZED, 'Invalid or expired token');
+        }
+    }
+
+    async getPlayerFromToken(token) {
+        const payload = this.verifyToken(token);
+        const player = await Player.findById(payload.sub);
+
+        if (!player) {
+            throw new Error('Player not found');
+        }
+
+        return player;
+    }
+}
+
+export default new AuthService();
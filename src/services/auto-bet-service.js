@@ -0,0 +1,227 @@
+import { EventEmitter } from 'node:events';
+import gameEngine from './game-engine.js';
+import { GAME_EVENTS } from './game-events.js';
+import cryptoPriceService from './crypto-service.js';
+import { GameError, ERROR_CODES } from './game-errors.js';
+
+const positiveNumber = (value, name) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+        throw new GameError(ERROR_CODES.INVALID_AMOUNT, `${name} must be a positive number`);
+    }
+    return value;
+};
+
+const optionalPositiveNumber = (value, name) => (value == null ? null : positiveNumber(value, name));
+
+// Server-side auto betting. Each running strategy places one bet per betting phase
+// on the session's behalf and adjusts the next stake from the previous result.
+class AutoBetService extends EventEmitter {
+    constructor() {
+        super();
+        this.strategies = new Map();
+
+        gameEngine.on(GAME_EVENTS.BETTING_OPENED, () => {
+            this.placeBets().catch(error => {
+                console.error('❌ Failed to place auto bets:', error);
+            });
+        });
+        gameEngine.on(GAME_EVENTS.SETTLED, (settled) => this.recordRoundResult(settled));
+    }
+
+    validateConfig(config = {}) {
+        const baseBet = positiveNumber(config.baseBet, 'baseBet');
+        const cryptocurrency = cryptoPriceService.getSymbol(config.cryptocurrency);
+        if (!cryptocurrency) {
+            throw new GameError(ERROR_CODES.UNSUPPORTED_CURRENCY, `cryptocurrency must be one of: ${cryptoPriceService.supportedSymbols.join(', ')}`);
+        }
+
+        const autoCashoutAt = gameEngine.validateAutoCashoutAt(config.autoCashoutAt);
+        if (!autoCashoutAt) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, 'autoCashoutAt is required for auto betting');
+        }
+
+        const rounds = config.rounds == null ? null : config.rounds;
+        if (rounds !== null && (!Number.isInteger(rounds) || rounds < 1)) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, 'rounds must be a positive integer');
+        }
+
+        const maxBet = optionalPositiveNumber(config.maxBet, 'maxBet');
+        if (maxBet !== null && maxBet < baseBet) {
+            throw new GameError(ERROR_CODES.INVALID_AMOUNT, 'maxBet must not be lower than baseBet');
+        }
+
+        return {
+            baseBet,
+            cryptocurrency,
+            autoCashoutAt,
+            rounds,
+            // null resets the stake to baseBet, a number multiplies the last stake (2 on loss = martingale)
+            onWinMultiplier: optionalPositiveNumber(config.onWinMultiplier, 'onWinMultiplier'),
+            onLossMultiplier: optionalPositiveNumber(config.onLossMultiplier, 'onLossMultiplier'),
+            stopLoss: optionalPositiveNumber(config.stopLoss, 'stopLoss'),
+            takeProfit: optionalPositiveNumber(config.takeProfit, 'takeProfit'),
+            maxBet
+        };
+    }
+
+    start(sessionId, config) {
+        const current = this.strategies.get(sessionId);
+        if (current?.status === 'running') {
+            throw new GameError(ERROR_CODES.AUTO_BET_RUNNING, 'Auto bet is already running. Stop it before starting a new one');
+        }
+
+        const validated = this.validateConfig(config);
+        const strategy = {
+            sessionId,
+            config: validated,
+            status: 'running',
+            nextBet: validated.baseBet,
+            roundsPlayed: 0,
+            wins: 0,
+            losses: 0,
+            netProfit: 0,
+            pendingBet: null,
+            lastResult: null,
+            stopReason: null,
+            startedAt: new Date(),
+            stoppedAt: null
+        };
+
+        this.strategies.set(sessionId, strategy);
+        this.emit('status', sessionId, this.getStatus(sessionId));
+        return this.getStatus(sessionId);
+    }
+
+    stop(sessionId, reason = 'Stopped by player') {
+        const strategy = this.strategies.get(sessionId);
+        if (!strategy || strategy.status !== 'running') {
+            throw new GameError(ERROR_CODES.NO_AUTO_BET, 'No auto bet is running');
+        }
+
+        strategy.status = 'stopped';
+        strategy.stopReason = reason;
+        strategy.stoppedAt = new Date();
+        this.emit('status', sessionId, this.getStatus(sessionId));
+        return this.getStatus(sessionId);
+    }
+
+    getStatus(sessionId) {
+        const strategy = this.strategies.get(sessionId);
+        if (!strategy) {
+            return { status: 'idle' };
+        }
+
+        const { config, status, nextBet, roundsPlayed, wins, losses, netProfit, pendingBet, lastResult, stopReason, startedAt, stoppedAt } = strategy;
+        return {
+            status,
+            config,
+            nextBet,
+            roundsPlayed,
+            roundsRemaining: config.rounds === null ? null : config.rounds - roundsPlayed,
+            wins,
+            losses,
+            netProfit,
+            pendingBet,
+            lastResult,
+            stopReason,
+            startedAt,
+            stoppedAt
+        };
+    }
+
+    // Called once per betting phase. The engine announces each bet with betPlaced.
+    async placeBets() {
+        const placed = [];
+
+        for (const strategy of this.strategies.values()) {
+            if (strategy.status !== 'running' || strategy.pendingBet) {
+                continue;
+            }
+
+            const { sessionId, config } = strategy;
+            try {
+                await gameEngine.ensureSession(sessionId);
+                const result = await gameEngine.placeBet(sessionId, strategy.nextBet, config.cryptocurrency, {
+                    autoCashoutAt: config.autoCashoutAt,
+                    source: 'auto'
+                });
+
+                strategy.pendingBet = {
+                    betId: result.bet.betId,
+                    roundId: result.bet.roundId,
+                    usdAmount: strategy.nextBet
+                };
+                placed.push({ sessionId, result });
+            } catch (error) {
+                if (error.code === ERROR_CODES.INSUFFICIENT_BALANCE) {
+                    this.stop(sessionId, error.message);
+                } else {
+                    console.error(`Auto bet skipped a round for ${sessionId}:`, error.message);
+                }
+            }
+        }
+
+        return placed;
+    }
+
+    // Called with the engine's settled event, once every cashout in the round has landed.
+    recordRoundResult({ roundId, roundNumber, bets }) {
+        for (const strategy of this.strategies.values()) {
+            const pending = strategy.pendingBet;
+            if (!pending || pending.roundId !== roundId) {
+                continue;
+            }
+
+            const bet = bets.find(entry => entry.betId === pending.betId);
+            const profit = bet ? bet.profit : -pending.usdAmount;
+            const won = profit > 0;
+            const { config } = strategy;
+
+            strategy.pendingBet = null;
+            strategy.roundsPlayed += 1;
+            strategy.netProfit += profit;
+            strategy.lastResult = { roundNumber, won, usdAmount: pending.usdAmount, profit };
+            if (won) {
+                strategy.wins += 1;
+            } else {
+                strategy.losses += 1;
+            }
+
+            const stepMultiplier = won ? config.onWinMultiplier : config.onLossMultiplier;
+            const nextBet = stepMultiplier === null ? config.baseBet : pending.usdAmount * stepMultiplier;
+            strategy.nextBet = Math.round(Math.min(nextBet, config.maxBet ?? Infinity) * 100) / 100;
+
+            if (strategy.status !== 'running') {
+                this.emit('status', strategy.sessionId, this.getStatus(strategy.sessionId));
+            } else if (config.rounds !== null && strategy.roundsPlayed >= config.rounds) {
+                this.stop(strategy.sessionId, `Completed ${config.rounds} rounds`);
+            } else if (config.stopLoss !== null && strategy.netProfit <= -config.stopLoss) {
+                this.stop(strategy.sessionId, `Stop loss of $${config.stopLoss} reached`);
+            } else if (config.takeProfit !== null && strategy.netProfit >= config.takeProfit) {
+                this.stop(strategy.sessionId, `Take profit of $${config.takeProfit} reached`);
+            } else {
+                this.emit('status', strategy.sessionId, this.getStatus(strategy.sessionId));
+            }
+        }
+    }
+
+    cleanup() {
+        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+        for (const [sessionId, strategy] of this.strategies.entries()) {
+            if (strategy.status === 'stopped' && !strategy.pendingBet && strategy.stoppedAt < oneHourAgo) {
+                this.strategies.delete(sessionId);
+            }
+        }
+    }
+
+    // Anonymous sessions can only be reached again through a resume token, so their
+    // strategies end once the last token for the session has expired unused.
+    handleSessionExpired(sessionId) {
+        const strategy = this.strategies.get(sessionId);
+        if (strategy?.status === 'running' && !gameEngine.isPlayerSessionId(sessionId)) {
+            this.stop(sessionId, 'Session expired');
+        }
+    }
+}
+
+export default new AutoBetService();
@@ -0,0 +1,219 @@
+import { EventEmitter } from 'node:events';
+import mongoose from 'mongoose';
+import ChatMessage from '../api/models/chat-message.model.js';
+import gameEngine from './game-engine.js';
+import { GAME_EVENTS } from './game-events.js';
+import { GameError, ERROR_CODES } from './game-errors.js';
+import { hitFixedWindow } from '../utils/fixed-window.js';
+import chatConfig from '../config/chat.js';
+
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Live chat beside the game. Messages are filtered, stored in ChatMessage and kept in a
+// short in-memory history that connecting clients receive. Changes are emitted as
+// 'message', 'mute' and 'unmute' for the local transport, and as 'relay' so other cluster
+// nodes can apply them with receiveRelay. Sender session ids are kept out of what
+// clients receive, as they are also out of the public game state: they are accepted by
+// the HTTP bet endpoints, so moderators mute by message id.
+class ChatService extends EventEmitter {
+    constructor() {
+        super();
+        // Oldest first; entries keep the sender's sessionId, see toPublic
+        this.history = [];
+        // sessionId -> { mutedUntil, reason }
+        this.mutes = new Map();
+        // sessionId -> fixed rate limit window
+        this.rateWindows = new Map();
+        this.filter = chatConfig.bannedWords.length > 0
+            ? new RegExp(`\\b(${chatConfig.bannedWords.map(escapeRegExp).join('|')})\\b`, 'gi')
+            : null;
+
+        gameEngine.on(GAME_EVENTS.CASHED_OUT, (cashout) => {
+            this.announceBigWin(cashout).catch(error => {
+                console.error('❌ Failed to announce big win:', error);
+            });
+        });
+    }
+
+    async initialize() {
+        const messages = await ChatMessage.find().sort({ createdAt: -1 }).limit(chatConfig.historySize).lean();
+        this.history = messages.reverse().map(message => this.toEntry(message));
+    }
+
+    getHistory() {
+        return this.history.map(entry => this.toPublic(entry));
+    }
+
+    toEntry(message) {
+        return {
+            id: message._id.toString(),
+            kind: message.kind,
+            sessionId: message.sessionId || null,
+            playerName: message.playerName || null,
+            text: message.text,
+            createdAt: message.createdAt
+        };
+    }
+
+    toPublic({ sessionId, ...message }) {
+        return message;
+    }
+
+    filterText(text) {
+        return this.filter ? text.replace(this.filter, word => '*'.repeat(word.length)) : text;
+    }
+
+    async send({ sessionId, playerId, playerName }, text) {
+        const mute = this.getMute(sessionId);
+        if (mute) {
+            throw new GameError(ERROR_CODES.CHAT_MUTED, 'You are muted in chat', mute);
+        }
+
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, 'Chat message is empty');
+        }
+
+        const { windowMs, maxMessages } = chatConfig.rateLimit;
+        const retryAfterMs = hitFixedWindow(this.rateWindows, sessionId, { windowMs, max: maxMessages });
+        if (retryAfterMs > 0) {
+            throw new GameError(ERROR_CODES.RATE_LIMITED, `At most ${maxMessages} chat messages per ${windowMs}ms`, { retryAfterMs });
+        }
+
+        const message = await ChatMessage.create({
+            kind: 'player',
+            sessionId,
+            player: playerId,
+            playerName,
+            text: this.filterText(trimmed)
+        });
+        return this.publish(this.toEntry(message));
+    }
+
+    // Every node sees the cashout, so each announces it to its own clients and only the
+    // node running the round stores it
+    async announceBigWin({ playerName, multiplier, result }) {
+        if (!(result.profit >= chatConfig.bigWinUsd)) {
+            return;
+        }
+
+        const system = {
+            kind: 'system',
+            text: `🎉 ${playerName} won $${result.profit.toFixed(2)} cashing out at ${multiplier.toFixed(2)}x`
+        };
+        const message = gameEngine.remote
+            ? { ...system, _id: new mongoose.Types.ObjectId(), createdAt: new Date() }
+            : await ChatMessage.create(system);
+        this.publish(this.toEntry(message), { relay: false });
+    }
+
+    publish(entry, { relay = true } = {}) {
+        this.history.push(entry);
+        if (this.history.length > chatConfig.historySize) {
+            this.history.shift();
+        }
+
+        const message = this.toPublic(entry);
+        this.emit('message', message);
+        if (relay) {
+            this.emit('relay', { type: 'message', entry });
+        }
+        return message;
+    }
+
+    getMute(sessionId) {
+        const mute = this.mutes.get(sessionId);
+        if (mute && mute.mutedUntil <= Date.now()) {
+            this.mutes.delete(sessionId);
+            return null;
+        }
+        return mute || null;
+    }
+
+    assertModerator(moderator) {
+        if (!MODERATOR_ROLES.includes(moderator.role)) {
+            throw new GameError(ERROR_CODES.FORBIDDEN, 'Only moderators can do this');
+        }
+    }
+
+    // The target is the author of a chat message, or a session id from the admin tools
+    async resolveSessionId({ messageId = null, sessionId = null }) {
+        if (sessionId) {
+            return sessionId;
+        }
+        if (!messageId) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, 'messageId or sessionId is required');
+        }
+
+        const recent = this.history.find(entry => entry.id === messageId);
+        const stored = recent || (mongoose.isValidObjectId(messageId) ? await ChatMessage.findById(messageId).lean() : null);
+        if (!stored?.sessionId) {
+            throw new GameError(ERROR_CODES.CHAT_MESSAGE_NOT_FOUND, 'No player chat message with that id');
+        }
+        return stored.sessionId;
+    }
+
+    async mute(moderator, { durationMs = chatConfig.defaultMuteMs, reason = null, ...target }) {
+        this.assertModerator(moderator);
+        const sessionId = await this.resolveSessionId(target);
+        const mute = { mutedUntil: Date.now() + durationMs, reason };
+
+        this.applyMute(sessionId, mute);
+        this.emit('relay', { type: 'mute', sessionId, mute });
+        console.log(`🔇 ${moderator.sessionId} muted ${sessionId} for ${durationMs}ms`);
+        return mute;
+    }
+
+    async unmute(moderator, target) {
+        this.assertModerator(moderator);
+        const sessionId = await this.resolveSessionId(target);
+
+        this.applyUnmute(sessionId);
+        this.emit('relay', { type: 'unmute', sessionId });
+        console.log(`🔊 ${moderator.sessionId} unmuted ${sessionId}`);
+    }
+
+    applyMute(sessionId, mute) {
+        this.mutes.set(sessionId, mute);
+        this.emit('mute', sessionId, mute);
+    }
+
+    applyUnmute(sessionId) {
+        if (this.mutes.delete(sessionId)) {
+            this.emit('unmute', sessionId);
+        }
+    }
+
+    // Applies a change made on another cluster node
+    receiveRelay({ type, entry, sessionId, mute }) {
+        switch (type) {
+            case 'message':
+                this.publish(entry, { relay: false });
+                break;
+            case 'mute':
+                this.applyMute(sessionId, mute);
+                break;
+            case 'unmute':
+                this.applyUnmute(sessionId);
+                break;
+        }
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [sessionId, mute] of this.mutes.entries()) {
+            if (mute.mutedUntil <= now) {
+                this.mutes.delete(sessionId);
+            }
+        }
+        for (const [sessionId, window] of this.rateWindows.entries()) {
+            if (now - window.startedAt >= chatConfig.rateLimit.windowMs) {
+                this.rateWindows.delete(sessionId);
+            }
+        }
+    }
+}
+
+export default new ChatService();
@@ -17,6 +17,30 @@ class CryptoPriceService {
             'BNB': 'BNB',
             'ADA': 'ADA'
         };
+
+        this.supportedSymbols = ['BTC', 'ETH', 'BNB', 'ADA'];
+
+        this.fallbackPrices = {
+            BTC: 45000,
+            ETH: 2500,
+            BNB: 300,
+            ADA: 0.5
+        };
+    }
+
+    getSymbol(cryptocurrency) {
+        if (typeof cryptocurrency !== 'string') {
+            return null;
+        }
+
+        const symbol = this.cryptoMapping[cryptocurrency] || cryptocurrency.toUpperCase();
+        return this.supportedSymbols.includes(symbol) ? symbol : null;
+    }
+
+    // Last known prices without waiting on the API, for code that cannot be async.
+    getCachedPrices() {
+        const cached = this.cache.get('crypto_prices');
+        return cached ? cached.data : { ...this.fallbackPrices, timestamp: Date.now() };
     }
 
     async getCurrentPrices() {
@@ -34,10 +58,10 @@ class CryptoPriceService {
             );
 
             const prices = {
-                BTC: response.data.bitcoin?.usd || 45000,
-                ETH: response.data.ethereum?.usd || 2500,
-                BNB: response.data.binancecoin?.usd || 300,
-                ADA: response.data.cardano?.usd || 0.5,
+                BTC: response.data.bitcoin?.usd || this.fallbackPrices.BTC,
+                ETH: response.data.ethereum?.usd || this.fallbackPrices.ETH,
+                BNB: response.data.binancecoin?.usd || this.fallbackPrices.BNB,
+                ADA: response.data.cardano?.usd || this.fallbackPrices.ADA,
                 timestamp: Date.now()
             };
 
@@ -57,10 +81,7 @@ class CryptoPriceService {
             
             // Fallback prices
             return {
-                BTC: 45000,
-                ETH: 2500,
-                BNB: 300,
-                ADA: 0.5,
+                ...this.fallbackPrices,
                 timestamp: Date.now()
             };
         }
@@ -101,6 +122,27 @@ class CryptoPriceService {
             timestamp: prices.timestamp
         };
     }
+
+    async convertCrypto(amount, fromCryptocurrency, toCryptocurrency) {
+        const prices = await this.getCurrentPrices();
+        const fromSymbol = this.getSymbol(fromCryptocurrency);
+        const toSymbol = this.getSymbol(toCryptocurrency);
+
+        if (!fromSymbol || !toSymbol) {
+            throw new Error(`Unsupported cryptocurrency. Available: ${this.supportedSymbols.join(', ')}`);
+        }
+
+        const usdAmount = amount * prices[fromSymbol];
+
+        return {
+            fromAmount: amount,
+            toAmount: usdAmount / prices[toSymbol],
+            usdAmount,
+            fromPrice: prices[fromSymbol],
+            toPrice: prices[toSymbol],
+            timestamp: prices.timestamp
+        };
+    }
 }
 
 export default new CryptoPriceService();
\ No newline at end of file
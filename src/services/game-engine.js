@@ -1,112 +1,269 @@
-import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+import mongoose from 'mongoose';
 import GameRound from '../api/models/game-round.model.js';
+import Player from '../api/models/player.model.js';
 import cryptoPriceService from './crypto-service.js';
+import hashChainService from './hash-chain.js';
+import walletService from './wallet-service.js';
+import recoveryService from './recovery-service.js';
+import RoundStateMachine from './round-state-machine.js';
+import { GAME_EVENTS } from './game-events.js';
+import { GameError, ERROR_CODES } from './game-errors.js';
+import provablyFairConfig from '../config/provably-fair.js';
+import gameConfig from '../config/game.js';
+import { runInTransaction, supportsTransactions } from '../config/database.js';
+import { calculateCrashPoint, buildClientSeed } from '../utils/provably-fair.js';
+import { multiplierAt, timeToReach } from '../utils/multiplier-curve.js';
 
-class GameEngineService {
+// Thrown inside pushBet when the round already holds the session's bet with the same
+// idempotency key, e.g. a retry that reached a restarted or newly elected leader
+class DuplicateBetError extends Error {
+    constructor(bet) {
+        super('A bet with this idempotency key was already placed');
+        this.bet = bet;
+    }
+}
+
+export class GameEngineService extends EventEmitter {
     constructor() {
+        super();
         this.currentRound = null;
         this.roundCounter = 1;
-        this.multiplier = 1.0;
-        this.gameState = 'waiting';
-        this.roundInterval = null;
-        this.multiplierInterval = null;
+        this.rounds = new RoundStateMachine(gameConfig.phases);
+        this.running = false;
+        // Set to the cluster node while another node leads the rounds
+        this.remote = null;
+        this.tickInterval = null;
+        this.roundTimers = [];
         this.startTime = null;
         this.initialized = false;
         this.sessions = new Map(); 
+        this.idempotencyCache = new Map();
+        this.idempotencyTtl = 10 * 60 * 1000;
+        this.pendingAutoCashouts = new Map();
+        this.pendingCashouts = new Set();
+        // Resolves the promise handed out by drain() once the loop has stopped
+        this.resolveDrain = null;
+        this.drainPromise = null;
+    }
+
+    get gameState() {
+        return this.rounds.phase;
+    }
+
+    isRoundOver() {
+        return this.gameState === 'crashed' || this.gameState === 'settled';
+    }
+
+    // The multiplier is never stored, only derived from the round's start time
+    get multiplier() {
+        if (this.isRoundOver()) {
+            return this.currentRound?.crashPoint ?? 1;
+        }
+        if (this.gameState !== 'active') {
+            return 1;
+        }
+        return Math.min(this.getMultiplierAt(Date.now()), this.currentRound.crashPoint);
+    }
+
+    getMultiplierAt(timestamp) {
+        return multiplierAt(timestamp - this.startTime, gameConfig.curve.growthRate);
+    }
+
+    getCrashTime() {
+        return this.startTime + timeToReach(this.currentRound.crashPoint, gameConfig.curve.growthRate);
     }
 
     getSession(sessionId, playerName = null) {
+        if (!this.sessions.has(sessionId) && this.isPlayerSessionId(sessionId)) {
+            // Account sessions are only ever created from the Player document
+            throw new GameError(ERROR_CODES.SESSION_EXPIRED, 'Session expired, please authenticate again');
+        }
+
         if (!this.sessions.has(sessionId)) {
             this.sessions.set(sessionId, {
                 sessionId,
                 playerName: playerName || `Player_${sessionId.slice(-6)}`,
-                balance: 1000,
+                wallets: walletService.getStartingAllocation(cryptoPriceService.getCachedPrices()),
                 totalBets: 0,
                 totalWins: 0,
                 totalWinnings: 0,
-                currentBet: null,
+                clientSeed: null,
+                currentBets: [],
                 joinedAt: new Date()
             });
         }
         
-        if (playerName && this.sessions.has(sessionId)) {
+        if (playerName && !this.sessions.get(sessionId).playerId) {
             this.sessions.get(sessionId).playerName = playerName;
         }
         
         return this.sessions.get(sessionId);
     }
 
+    getPlayerSessionId(playerId) {
+        return `player:${playerId}`;
+    }
+
+    isPlayerSessionId(sessionId) {
+        return typeof sessionId === 'string' && sessionId.startsWith('player:');
+    }
+
+    // Authenticated players use their account id as sessionId, so the same session
+    // is found again after a reconnect and rebuilt from the database after a restart.
+    attachPlayer(player) {
+        const sessionId = this.getPlayerSessionId(player._id);
+
+        if (!this.sessions.has(sessionId)) {
+            this.sessions.set(sessionId, {
+                sessionId,
+                playerId: player._id.toString(),
+                playerName: player.username,
+                wallets: { ...walletService.createEmptyWallets(), ...player.toObject().wallets },
+                totalBets: player.totalBets,
+                totalWins: player.totalWins,
+                totalWinnings: player.totalWinnings,
+                clientSeed: null,
+                currentBets: [],
+                joinedAt: new Date()
+            });
+        }
+
+        const session = this.sessions.get(sessionId);
+        session.playerName = player.username;
+        session.joinedAt = new Date();
+        return session;
+    }
+
+    // Account wallets may have changed on another node (swaps, adjustments), so
+    // commands forwarded by a follower reload them first.
+    async syncSession(sessionId) {
+        const session = await this.ensureSession(sessionId);
+        if (session.playerId) {
+            await walletService.refreshSession(session);
+        }
+        return session;
+    }
+
+    // On a follower node commands run on the leader. The reply carries the player's
+    // wallets, which the local copy of the session is updated from.
+    async forward(method, sessionId, ...args) {
+        const result = await this.remote.call(method, [sessionId, ...args]);
+        const session = this.sessions.get(sessionId);
+        if (session && result?.wallets) {
+            session.wallets = result.wallets;
+        }
+        return result;
+    }
+
+    // Rebuilds an account session dropped by cleanupSessions() from the database.
+    async ensureSession(sessionId) {
+        if (this.sessions.has(sessionId) || !this.isPlayerSessionId(sessionId)) {
+            return this.getSession(sessionId);
+        }
+
+        const player = await Player.findById(sessionId.slice('player:'.length));
+        if (!player) {
+            throw new Error('Player not found');
+        }
+
+        return this.attachPlayer(player);
+    }
+
+    async persistPlayer(session, changes) {
+        if (!session.playerId) {
+            return;
+        }
+
+        try {
+            await Player.updateOne({ _id: session.playerId }, { $inc: changes });
+        } catch (error) {
+            console.error(`Failed to persist player ${session.playerId}:`, error);
+        }
+    }
+
     async initialize() {
         if (this.initialized) return;
 
         try {
-            const latestRound = await GameRound.findOne().sort({ roundNumber: -1 });
-            
-            if (latestRound) {
-                this.roundCounter = latestRound.roundNumber + 1;
-                
-
-                const activeRound = await GameRound.findOne({ 
-                    status: { $in: ['betting', 'active'] } 
-                });
-                
-                if (activeRound) {
-                    activeRound.status = 'completed';
-                    await activeRound.save();
-                }
-            } else {
-                this.roundCounter = 1;
-            }
-            
-            this.initialized = true;
+            await hashChainService.initialize();
         } catch (error) {
             console.error('Failed to initialize game engine:', error);
-            this.roundCounter = 1;
-            this.initialized = true;
         }
+        this.initialized = true;
     }
 
-    generateProvablyFairCrash() {
+    // Runs whenever this process takes over the round loop, at startup or after
+    // another node stopped leading. Rounds that node left open are closed and the
+    // newest hash chain is reloaded in case it rotated chains meanwhile.
+    async prepareRounds() {
+        const latestRound = await GameRound.findOne().sort({ roundNumber: -1 });
+        this.roundCounter = latestRound ? latestRound.roundNumber + 1 : 1;
 
-        const seed = crypto.randomBytes(32).toString('hex');
-        
-        const seedWithRound = seed + this.roundCounter.toString();
-        const hash = crypto.createHash('sha256').update(seedWithRound).digest('hex');
-        
+        // Rounds the previous leader left open get their bets refunded or resolved
+        const audits = await recoveryService.recoverOpenRounds();
+        const affected = new Set(audits.map(audit => audit.sessionId));
+        for (const sessionId of affected) {
+            const session = this.sessions.get(sessionId);
+            if (session?.playerId) {
+                await walletService.refreshSession(session);
+            }
+        }
 
-        const hashInt = parseInt(hash.substring(0, 13), 16); 
-        
-        const e = 2.718281828;
-        const crashPoint = Math.floor((100 * e - 100) / (Math.pow(hashInt / Math.pow(2, 52), 1/3))) / 100;
-        
+        await hashChainService.initialize();
+    }
+
+    generateProvablyFairCrash(serverSeed, clientSeed, nonce, params = provablyFairConfig.crash) {
+        return calculateCrashPoint(serverSeed, clientSeed, nonce, params);
+    }
 
-        const finalCrashPoint = Math.max(1.01, Math.min(120, crashPoint));
+    buildRoundClientSeed(round) {
+        return buildClientSeed(round.publicSalt, round.clientSeeds.map(entry => entry.clientSeed));
+    }
 
-        return {
-            seed,
-            hash,
-            crashPoint: Math.round(finalCrashPoint * 100) / 100,
-            seedWithRound 
-        };
+    setClientSeed(sessionId, clientSeed) {
+        if (typeof clientSeed !== 'string' || !clientSeed.trim()) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, 'Client seed must be a non-empty string');
+        }
+
+        if (clientSeed.length > provablyFairConfig.maxClientSeedLength) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, `Client seed must be at most ${provablyFairConfig.maxClientSeedLength} characters`);
+        }
+
+        const session = this.getSession(sessionId);
+        session.clientSeed = clientSeed.trim();
+        return session.clientSeed;
     }
 
     async createNewRound() {
         await this.initialize();
 
-        const { seed, hash, crashPoint } = this.generateProvablyFairCrash();
+        this.pruneIdempotencyCache();
+
+        const roundNumber = this.roundCounter;
+        const { seed, hash, chainId, chainIndex } = await hashChainService.nextSeed();
         
         try {
             this.currentRound = new GameRound({
                 roundNumber: this.roundCounter++,
                 seed,
                 hash,
-                crashPoint,
+                chainId,
+                chainIndex,
+                publicSalt: provablyFairConfig.publicSalt,
+                nonce: roundNumber,
+                crashParams: provablyFairConfig.crash,
                 status: 'betting'
             });
-
-            this.gameState = 'betting';
             
             await this.currentRound.save();
+            this.emit(GAME_EVENTS.ROUND_CREATED, {
+                roundId: this.currentRound._id.toString(),
+                roundNumber,
+                hash,
+                publicSalt: this.currentRound.publicSalt,
+                nonce: roundNumber
+            });
             return this.currentRound;
         } catch (error) {
             if (error.code === 11000) {
@@ -116,156 +273,885 @@ class GameEngineService {
         }
     }
 
-    async placeBet(sessionId, usdAmount, cryptocurrency, playerName = null) {
+    validateIdempotencyKey(idempotencyKey) {
+        if (idempotencyKey == null) {
+            return null;
+        }
+
+        if (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > 128) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, 'idempotencyKey must be a string of at most 128 characters');
+        }
+
+        return idempotencyKey;
+    }
+
+    // Requests retried with the same key share the first attempt's result instead
+    // of running again. Failed attempts are forgotten so they can be retried.
+    runIdempotent(key, operation) {
+        const cached = this.idempotencyCache.get(key);
+        if (cached) {
+            return cached.promise;
+        }
+
+        const promise = operation();
+        this.idempotencyCache.set(key, { promise, createdAt: Date.now() });
+        promise.catch(() => this.idempotencyCache.delete(key));
+        return promise;
+    }
+
+    pruneIdempotencyCache() {
+        const cutoff = Date.now() - this.idempotencyTtl;
+        for (const [key, entry] of this.idempotencyCache.entries()) {
+            if (entry.createdAt < cutoff) {
+                this.idempotencyCache.delete(key);
+            }
+        }
+    }
+
+    async placeBet(sessionId, usdAmount, cryptocurrency, options = {}) {
+        if (this.remote) {
+            // The leader may not have seen this session yet
+            const session = this.getSession(sessionId);
+            return this.forward('placeBet', sessionId, usdAmount, cryptocurrency, {
+                ...options,
+                playerName: options.playerName ?? session.playerName,
+                clientSeed: options.clientSeed ?? session.clientSeed
+            });
+        }
+
+        const idempotencyKey = this.validateIdempotencyKey(options.idempotencyKey);
+        const betOptions = { ...options, idempotencyKey };
+        if (!idempotencyKey) {
+            return this.executeBet(sessionId, usdAmount, cryptocurrency, betOptions);
+        }
+
+        return this.runIdempotent(`bet:${sessionId}:${idempotencyKey}`, () =>
+            this.executeBet(sessionId, usdAmount, cryptocurrency, betOptions)
+        );
+    }
+
+    validateAutoCashoutAt(autoCashoutAt) {
+        if (autoCashoutAt == null) {
+            return null;
+        }
+
+        const { maxMultiplier } = provablyFairConfig.crash;
+        if (typeof autoCashoutAt !== 'number' || !Number.isFinite(autoCashoutAt) || autoCashoutAt < 1.01 || autoCashoutAt > maxMultiplier) {
+            throw new GameError(ERROR_CODES.INVALID_AMOUNT, `autoCashoutAt must be a multiplier between 1.01 and ${maxMultiplier}`);
+        }
+
+        return Math.floor(autoCashoutAt * 100) / 100;
+    }
+
+    async executeBet(sessionId, usdAmount, cryptocurrency, { playerName = null, clientSeed = null, idempotencyKey = null, autoCashoutAt = null, source = 'player' } = {}) {
         await this.initialize();
 
-        if (this.gameState !== 'betting' && this.gameState !== 'waiting') {
-            throw new Error(`Betting is not allowed at this time. Current state: ${this.gameState}`);
+        if (this.gameState !== 'betting') {
+            throw new GameError(ERROR_CODES.BETTING_CLOSED, `Betting is not allowed at this time. Current state: ${this.gameState}`);
         }
 
-        if (!this.currentRound) {
-            await this.createNewRound();
+        if (typeof usdAmount !== 'number' || !Number.isFinite(usdAmount) || usdAmount <= 0) {
+            throw new GameError(ERROR_CODES.INVALID_AMOUNT, 'Bet amount must be positive');
+        }
+
+        const symbol = cryptoPriceService.getSymbol(cryptocurrency);
+        if (!symbol) {
+            throw new GameError(ERROR_CODES.UNSUPPORTED_CURRENCY, `Unsupported cryptocurrency. Available: ${cryptoPriceService.supportedSymbols.join(', ')}`);
         }
 
+        const target = this.validateAutoCashoutAt(autoCashoutAt);
         
         const session = this.getSession(sessionId, playerName);
 
-      
-        if (session.currentBet && session.currentBet.roundId === this.currentRound._id.toString()) {
-            throw new Error('You already have a bet placed this round');
+        if (clientSeed) {
+            this.setClientSeed(sessionId, clientSeed);
         }
 
-       
-        if (session.balance < usdAmount) {
-            throw new Error(`Insufficient balance. You have $${session.balance.toFixed(2)}, need $${usdAmount}`);
+        const sessionBets = this.getSessionBets(this.currentRound, sessionId);
+        const retried = idempotencyKey && sessionBets.find(entry => entry.idempotencyKey === idempotencyKey);
+        if (retried) {
+            return this.describeExistingBet(session, this.currentRound, retried);
+        }
+
+        if (sessionBets.length >= gameConfig.maxBetsPerRound) {
+            throw new GameError(ERROR_CODES.BET_LIMIT_REACHED, `You can place at most ${gameConfig.maxBetsPerRound} bets per round`);
         }
 
     
-        const conversion = await cryptoPriceService.convertUsdToCrypto(usdAmount, cryptocurrency);
+        const round = this.currentRound;
+        const conversion = await cryptoPriceService.convertUsdToCrypto(usdAmount, symbol);
+
+       
+        if (session.wallets[symbol] < conversion.cryptoAmount) {
+            throw new GameError(ERROR_CODES.INSUFFICIENT_BALANCE, `Insufficient ${symbol} balance. You have ${session.wallets[symbol]} ${symbol}, need ${conversion.cryptoAmount} ${symbol}`);
+        }
 
- 
-        this.currentRound.activeBets.push({
+        const bet = {
+            _id: new mongoose.Types.ObjectId(),
             sessionId,
             playerName: session.playerName,
             usdAmount,
             cryptoAmount: conversion.cryptoAmount,
-            cryptocurrency,
-            cashedOut: false
-        });
+            cryptocurrency: symbol,
+            clientSeed: session.clientSeed,
+            idempotencyKey,
+            autoCashoutAt: target,
+            remainingCryptoAmount: conversion.cryptoAmount,
+            remainingUsdAmount: usdAmount,
+            cashouts: [],
+            cashedOut: false,
+            betTime: new Date()
+        };
+        const debit = {
+            type: 'bet',
+            currency: symbol,
+            amount: -conversion.cryptoAmount,
+            priceAtTime: conversion.priceAtTime,
+            round,
+            description: `Bet of $${usdAmount} on round ${round.roundNumber}`,
+            idempotencyKey: `bet:${bet._id}`
+        };
+
+        // Play money is debited in memory up front. Account debits and the bet itself
+        // are written together, in one transaction when the deployment supports them.
+        if (!session.playerId) {
+            await walletService.applyToSession(session, debit);
+        }
 
-     
-        this.currentRound.totalBets += usdAmount;
-        this.currentRound.totalPlayers = new Set(this.currentRound.activeBets.map(bet => bet.sessionId)).size;
-        await this.currentRound.save();
+        let debitTransaction = null;
+        try {
+            await runInTransaction(async (dbSession) => {
+                debitTransaction = null;
+                if (session.playerId) {
+                    debitTransaction = await walletService.record(session.playerId, debit, { session: dbSession });
+                }
+                await this.pushBet(round, bet, dbSession);
+            });
+        } catch (error) {
+            await this.rollbackBetDebit(session, bet, debitTransaction, error);
+            if (error instanceof DuplicateBetError) {
+                return this.describeExistingBet(session, round, error.bet);
+            }
+            throw error;
+        }
+
+        if (debitTransaction) {
+            session.wallets[symbol] = debitTransaction.balanceAfter;
+        }
+        this.addBetToCurrentRound(round, bet);
 
-        session.balance -= usdAmount;
         session.totalBets += 1;
-        session.currentBet = {
-            roundId: this.currentRound._id.toString(),
+        await this.persistPlayer(session, { totalBets: 1 });
+        const betSummary = {
+            betId: bet._id.toString(),
+            roundId: round._id.toString(),
             usdAmount,
             cryptoAmount: conversion.cryptoAmount,
-            cryptocurrency,
+            cryptocurrency: symbol,
             priceAtBet: conversion.priceAtTime,
+            autoCashoutAt: target,
+            remainingCryptoAmount: conversion.cryptoAmount,
+            remainingUsdAmount: usdAmount,
             isActive: true
         };
+        // Only the bets of the current round are kept on the session
+        session.currentBets = session.currentBets
+            .filter(entry => entry.roundId === betSummary.roundId)
+            .concat(betSummary);
 
-        return { 
+        const result = { 
             success: true,
-            bet: session.currentBet,
+            bet: betSummary,
             conversion,
-            newBalance: session.balance
+            newBalance: session.wallets[symbol],
+            wallets: session.wallets
         };
+        this.emit(GAME_EVENTS.BET_PLACED, {
+            roundId: betSummary.roundId,
+            roundNumber: round.roundNumber,
+            sessionId,
+            playerName: session.playerName,
+            source,
+            bet: betSummary,
+            totalBets: round.totalBets,
+            result
+        });
+        return result;
     }
 
-    async cashOut(sessionId) {
-        if (this.gameState !== 'active') {
-            throw new Error('Cannot cash out at this time');
+    // What a retried bet gets back when its first attempt is found in the round
+    describeExistingBet(session, round, bet) {
+        this.addBetToCurrentRound(round, bet);
+        const remaining = this.getRemainingStake(bet);
+        return {
+            success: true,
+            duplicate: true,
+            bet: {
+                betId: bet._id.toString(),
+                roundId: round._id.toString(),
+                usdAmount: bet.usdAmount,
+                cryptoAmount: bet.cryptoAmount,
+                cryptocurrency: bet.cryptocurrency,
+                priceAtBet: bet.usdAmount / bet.cryptoAmount,
+                autoCashoutAt: bet.autoCashoutAt ?? null,
+                remainingCryptoAmount: remaining.cryptoAmount,
+                remainingUsdAmount: remaining.usdAmount,
+                isActive: !bet.cashedOut
+            },
+            newBalance: session.wallets[bet.cryptocurrency],
+            wallets: session.wallets
+        };
+    }
+
+    getSessionBets(round, sessionId) {
+        return (round?.activeBets || []).filter(bet => bet.sessionId === sessionId);
+    }
+
+    // Appends the bet only while the round is still taking bets and the session's bets
+    // are exactly the ones last seen, so a late or duplicated request can never slip in
+    // and the per-round limit holds under concurrent requests. The idempotency key is
+    // checked against the stored bets too, since the in-memory cache does not survive
+    // a restart or a change of leader.
+    async pushBet(round, bet, dbSession) {
+        let sessionBets = this.getSessionBets(round, bet.sessionId);
+
+        for (;;) {
+            const existing = bet.idempotencyKey && sessionBets.find(entry => entry.idempotencyKey === bet.idempotencyKey);
+            if (existing) {
+                throw new DuplicateBetError(existing);
+            }
+
+            if (sessionBets.length >= gameConfig.maxBetsPerRound) {
+                throw new GameError(ERROR_CODES.BET_LIMIT_REACHED, `You can place at most ${gameConfig.maxBetsPerRound} bets per round`);
+            }
+
+            const update = {
+                $push: { activeBets: bet },
+                $inc: { totalBets: bet.usdAmount, totalPlayers: sessionBets.length === 0 ? 1 : 0 }
+            };
+            // A session contributes one client seed per round, however many bets it places
+            if (bet.clientSeed && !sessionBets.some(existing => existing.clientSeed)) {
+                update.$push.clientSeeds = { sessionId: bet.sessionId, clientSeed: bet.clientSeed, submittedAt: bet.betTime };
+            }
+
+            const filter = {
+                _id: round._id,
+                status: 'betting',
+                $expr: {
+                    $eq: [
+                        { $size: { $filter: { input: '$activeBets', cond: { $eq: ['$$this.sessionId', bet.sessionId] } } } },
+                        sessionBets.length
+                    ]
+                }
+            };
+            if (bet.idempotencyKey) {
+                filter.activeBets = { $not: { $elemMatch: { sessionId: bet.sessionId, idempotencyKey: bet.idempotencyKey } } };
+            }
+
+            const updated = await GameRound.findOneAndUpdate(
+                filter,
+                update,
+                { new: true, session: dbSession }
+            );
+
+            if (updated) {
+                return updated;
+            }
+
+            const current = await GameRound.findById(round._id).session(dbSession);
+            if (current?.status !== 'betting') {
+                throw new GameError(ERROR_CODES.BETTING_CLOSED, 'Betting is closed for this round');
+            }
+            sessionBets = this.getSessionBets(current, bet.sessionId);
         }
+    }
 
-        const session = this.getSession(sessionId);
-        
-        if (!session.currentBet || !session.currentBet.isActive) {
-            throw new Error('No active bet found');
+    async rollbackBetDebit(session, bet, debitTransaction, error) {
+        if (!session.playerId) {
+            session.wallets[bet.cryptocurrency] += bet.cryptoAmount;
+            return;
+        }
+
+        // Inside a transaction the debit was rolled back with the bet. Without one it
+        // was committed on its own and has to be refunded.
+        if (debitTransaction && !(await supportsTransactions())) {
+            try {
+                await walletService.record(session.playerId, {
+                    type: 'refund',
+                    currency: bet.cryptocurrency,
+                    amount: bet.cryptoAmount,
+                    description: `Bet rejected: ${error.message}`,
+                    idempotencyKey: `refund:${bet._id}`
+                });
+            } catch (refundError) {
+                console.error(`Failed to refund rejected bet ${bet._id}:`, refundError);
+            }
+        }
+
+        await walletService.refreshSession(session);
+    }
+
+    addBetToCurrentRound(round, bet) {
+        if (!this.currentRound || !this.currentRound._id.equals(round._id)) {
+            return;
+        }
+
+        if (this.currentRound.activeBets.some(existing => existing._id.equals(bet._id))) {
+            return;
+        }
+
+        const sessionBets = this.getSessionBets(this.currentRound, bet.sessionId);
+        if (bet.clientSeed && !sessionBets.some(existing => existing.clientSeed)) {
+            this.currentRound.clientSeeds.push({ sessionId: bet.sessionId, clientSeed: bet.clientSeed, submittedAt: bet.betTime });
+        }
+        if (sessionBets.length === 0) {
+            this.currentRound.totalPlayers += 1;
+        }
+        this.currentRound.activeBets.push(bet);
+        this.currentRound.totalBets += bet.usdAmount;
+    }
+
+    async cashOut(sessionId, options = {}) {
+        if (this.remote) {
+            return this.forward('cashOut', sessionId, { ...options, receivedAt: options.receivedAt ?? Date.now() });
         }
 
-        const betIndex = this.currentRound.activeBets.findIndex(
-            bet => bet.sessionId === sessionId && !bet.cashedOut
+        // Cashouts are priced at the moment the request reached the server
+        const receivedAt = options.receivedAt ?? Date.now();
+        const idempotencyKey = this.validateIdempotencyKey(options.idempotencyKey);
+        const cashoutOptions = { ...options, idempotencyKey, receivedAt };
+        if (!idempotencyKey) {
+            return this.executeCashOut(sessionId, cashoutOptions);
+        }
+
+        return this.runIdempotent(`cashout:${sessionId}:${idempotencyKey}`, () =>
+            this.executeCashOut(sessionId, cashoutOptions)
         );
+    }
+
+    // Works out which share of the bet's remaining stake to cash out. Without a
+    // fraction or usdAmount the whole remainder is settled.
+    resolveCashoutFraction(bet, { fraction = null, usdAmount = null } = {}) {
+        if (fraction != null && usdAmount != null) {
+            throw new GameError(ERROR_CODES.INVALID_AMOUNT, 'Send either fraction or usdAmount, not both');
+        }
+
+        if (fraction != null) {
+            if (typeof fraction !== 'number' || !Number.isFinite(fraction) || fraction <= 0 || fraction > 1) {
+                throw new GameError(ERROR_CODES.INVALID_AMOUNT, 'fraction must be greater than 0 and at most 1');
+            }
+            return fraction;
+        }
 
-        if (betIndex === -1) {
-            throw new Error('No active bet found in current round');
+        if (usdAmount != null) {
+            const remainingUsd = this.getRemainingStake(bet).usdAmount;
+            if (typeof usdAmount !== 'number' || !Number.isFinite(usdAmount) || usdAmount <= 0) {
+                throw new GameError(ERROR_CODES.INVALID_AMOUNT, 'usdAmount must be a positive number');
+            }
+            if (usdAmount > remainingUsd + 1e-9) {
+                throw new GameError(ERROR_CODES.INVALID_AMOUNT, `usdAmount exceeds the remaining stake of $${remainingUsd.toFixed(2)}`);
+            }
+            return Math.min(1, usdAmount / remainingUsd);
         }
 
-        const bet = this.currentRound.activeBets[betIndex];
-        const winAmount = bet.cryptoAmount * this.multiplier;
+        return 1;
+    }
 
-        const conversion = await cryptoPriceService.convertCryptoToUsd(winAmount, bet.cryptocurrency);
-        const profit = conversion.usdAmount - bet.usdAmount;
+    getRemainingStake(bet) {
+        return {
+            cryptoAmount: bet.remainingCryptoAmount ?? bet.cryptoAmount,
+            usdAmount: bet.remainingUsdAmount ?? bet.usdAmount
+        };
+    }
 
-        
-        this.currentRound.activeBets[betIndex].cashedOut = true;
-        this.currentRound.activeBets[betIndex].cashoutMultiplier = this.multiplier;
-        this.currentRound.activeBets[betIndex].cashoutTime = new Date();
-        await this.currentRound.save();
+    // Net USD result of a bet, valuing each cashout at the price the stake was placed at.
+    getBetProfit(bet) {
+        const returned = (bet.cashouts || []).reduce((sum, cashout) => sum + cashout.usdAmount * cashout.multiplier, 0);
+        return returned - bet.usdAmount;
+    }
+
+    async executeCashOut(sessionId, { betId = null, idempotencyKey = null, fraction = null, usdAmount = null, receivedAt = Date.now() } = {}) {
+        if (this.gameState !== 'active' || receivedAt < this.startTime || receivedAt >= this.getCrashTime()) {
+            throw new GameError(ERROR_CODES.CASHOUT_CLOSED, 'Cannot cash out at this time');
+        }
+
+        const session = this.getSession(sessionId);
+        const round = this.currentRound;
+        const openBets = this.getSessionBets(round, sessionId).filter(bet => !bet.cashedOut);
+
+        if (openBets.length === 0) {
+            throw new GameError(ERROR_CODES.NO_ACTIVE_BET, 'No active bet found');
+        }
+
+        let bet;
+        if (betId) {
+            bet = openBets.find(entry => entry._id.toString() === String(betId));
+            if (!bet) {
+                throw new GameError(ERROR_CODES.NO_ACTIVE_BET, 'No active bet found with that betId in current round');
+            }
+        } else if (openBets.length === 1) {
+            bet = openBets[0];
+        } else {
+            throw new GameError(ERROR_CODES.BET_ID_REQUIRED, 'betId is required when you have more than one open bet');
+        }
+
+        const cashoutFraction = this.resolveCashoutFraction(bet, { fraction, usdAmount });
+        const multiplier = this.getMultiplierAt(receivedAt);
+        const pending = this.settleCashout(session, round, bet, multiplier, { idempotencyKey, fraction: cashoutFraction });
+
+        // crashGame waits for cashouts received before the crash to land
+        this.pendingCashouts.add(pending);
+        try {
+            return await pending;
+        } finally {
+            this.pendingCashouts.delete(pending);
+        }
+    }
+
+    async settleCashout(session, round, bet, multiplier, { idempotencyKey = null, automatic = false, fraction = 1 } = {}) {
+        const cashoutTime = new Date();
+        const remaining = this.getRemainingStake(bet);
+        const closesBet = fraction >= 1 - 1e-9;
+        const stakeCrypto = closesBet ? remaining.cryptoAmount : remaining.cryptoAmount * fraction;
+        const stakeUsd = closesBet ? remaining.usdAmount : remaining.usdAmount * fraction;
+        const payoutCrypto = stakeCrypto * multiplier;
+        const firstCashout = !bet.cashouts?.length;
+
+        const conversion = await cryptoPriceService.convertCryptoToUsd(payoutCrypto, bet.cryptocurrency);
+        const profit = conversion.usdAmount - stakeUsd;
+        const cashoutIndex = bet.cashouts?.length || 0;
+        const cashout = {
+            _id: new mongoose.Types.ObjectId(),
+            cryptoAmount: stakeCrypto,
+            usdAmount: stakeUsd,
+            multiplier,
+            payoutCrypto,
+            payoutUsd: conversion.usdAmount,
+            automatic,
+            idempotencyKey,
+            cashoutTime
+        };
+        const payout = {
+            type: 'payout',
+            currency: bet.cryptocurrency,
+            amount: payoutCrypto,
+            priceAtTime: conversion.priceAtTime,
+            round,
+            description: `${automatic ? 'Auto cashout' : closesBet ? 'Cashout' : 'Partial cashout'} at ${multiplier.toFixed(2)}x on round ${round.roundNumber}`,
+            idempotencyKey: `payout:${bet._id}:${cashoutIndex}`
+        };
+
+        const set = {
+            'activeBets.$.remainingCryptoAmount': remaining.cryptoAmount - stakeCrypto,
+            'activeBets.$.remainingUsdAmount': remaining.usdAmount - stakeUsd
+        };
+        if (closesBet) {
+            Object.assign(set, {
+                'activeBets.$.cashedOut': true,
+                'activeBets.$.cashoutMultiplier': multiplier,
+                'activeBets.$.cashoutTime': cashoutTime,
+                'activeBets.$.cashoutIdempotencyKey': idempotencyKey,
+                'activeBets.$.autoCashedOut': automatic
+            });
+        }
+
+        let marked = false;
+        let payoutTransaction = null;
+        try {
+            await runInTransaction(async (dbSession) => {
+                marked = false;
+                payoutTransaction = null;
+
+                // Matching on the remaining stake makes concurrent cashouts of the same
+                // bet mutually exclusive, and nothing matches once the round has crashed.
+                const updated = await GameRound.findOneAndUpdate(
+                    {
+                        _id: round._id,
+                        status: 'active',
+                        activeBets: { $elemMatch: {
+                            _id: bet._id,
+                            cashedOut: false,
+                            cashouts: { $size: cashoutIndex }
+                        } }
+                    },
+                    { $set: set, $push: { 'activeBets.$.cashouts': cashout } },
+                    { session: dbSession }
+                );
 
-        session.balance += conversion.usdAmount;
-        session.totalWins += 1;
+                if (!updated) {
+                    throw new GameError(ERROR_CODES.NO_ACTIVE_BET, 'No active bet found in current round');
+                }
+                marked = true;
+
+                if (session.playerId) {
+                    payoutTransaction = await walletService.record(session.playerId, payout, { session: dbSession });
+                }
+            });
+        } catch (error) {
+            if (marked && !(await supportsTransactions())) {
+                await GameRound.updateOne(
+                    { _id: round._id, 'activeBets._id': bet._id },
+                    {
+                        $set: {
+                            'activeBets.$.cashedOut': false,
+                            'activeBets.$.remainingCryptoAmount': remaining.cryptoAmount,
+                            'activeBets.$.remainingUsdAmount': remaining.usdAmount
+                        },
+                        $pull: { 'activeBets.$.cashouts': { _id: cashout._id } }
+                    }
+                );
+            }
+            throw error;
+        }
+
+        bet.remainingCryptoAmount = remaining.cryptoAmount - stakeCrypto;
+        bet.remainingUsdAmount = remaining.usdAmount - stakeUsd;
+        bet.cashouts.push(cashout);
+        if (closesBet) {
+            bet.cashedOut = true;
+            bet.cashoutMultiplier = multiplier;
+            bet.cashoutTime = cashoutTime;
+            bet.cashoutIdempotencyKey = idempotencyKey;
+            bet.autoCashedOut = automatic;
+        }
+
+        if (payoutTransaction) {
+            session.wallets[bet.cryptocurrency] = payoutTransaction.balanceAfter;
+        } else {
+            await walletService.applyToSession(session, payout);
+        }
+        if (firstCashout) {
+            session.totalWins += 1;
+        }
         session.totalWinnings += profit;
-        session.currentBet.isActive = false;
+        const betSummary = session.currentBets.find(entry => entry.betId === bet._id.toString());
+        if (betSummary) {
+            betSummary.remainingUsdAmount = bet.remainingUsdAmount;
+            betSummary.remainingCryptoAmount = bet.remainingCryptoAmount;
+            if (closesBet) {
+                betSummary.isActive = false;
+            }
+        }
+        await this.persistPlayer(session, { totalWins: firstCashout ? 1 : 0, totalWinnings: profit });
 
-        return { 
+        const result = { 
             success: true,
-            multiplier: this.multiplier, 
+            betId: bet._id.toString(),
+            automatic,
+            partial: !closesBet,
+            fraction: closesBet ? 1 : fraction,
+            multiplier, 
+            cryptocurrency: bet.cryptocurrency,
+            stakeUsd,
+            payoutCrypto,
             winAmount: conversion.usdAmount,
             profit,
-            newBalance: session.balance
+            remainingUsdAmount: bet.remainingUsdAmount,
+            remainingCryptoAmount: bet.remainingCryptoAmount,
+            newBalance: session.wallets[bet.cryptocurrency],
+            wallets: session.wallets
         };
+        this.emit(GAME_EVENTS.CASHED_OUT, {
+            roundId: round._id.toString(),
+            roundNumber: round.roundNumber,
+            sessionId: bet.sessionId,
+            playerName: bet.playerName,
+            betId: result.betId,
+            automatic,
+            partial: result.partial,
+            multiplier,
+            winAmount: result.winAmount,
+            result
+        });
+        return result;
     }
 
-    async startRound() {
-        if (!this.currentRound) {
+    // Cashes out every open bet whose target has been reached, at exactly the target.
+    // A target equal to the crash point is reached as the round crashes and pays; targets
+    // above it are never reached and lose with the round.
+    triggerAutoCashouts(reachedMultiplier) {
+        const round = this.currentRound;
+
+        for (const bet of round.activeBets) {
+            const betId = bet._id.toString();
+            if (bet.cashedOut || !bet.autoCashoutAt || this.pendingAutoCashouts.has(betId)) {
+                continue;
+            }
+
+            if (bet.autoCashoutAt > reachedMultiplier || bet.autoCashoutAt > round.crashPoint) {
+                continue;
+            }
+
+            const session = this.getSession(bet.sessionId);
+            const pending = this.settleCashout(session, round, bet, bet.autoCashoutAt, { automatic: true })
+                .catch(error => {
+                    console.error(`Auto cashout failed for bet ${betId}:`, error.message);
+                })
+                .finally(() => {
+                    this.pendingAutoCashouts.delete(betId);
+                });
+
+            this.pendingAutoCashouts.set(betId, pending);
+        }
+    }
+
+    // Starts the round loop: waiting → betting → active → crashed → settled → waiting.
+    // Fixed-length phases end on the state machine's timer, the active phase ends at
+    // the crash and the crashed phase once every bet is settled.
+    async start() {
+        if (this.running) {
+            return;
+        }
+
+        this.running = true;
+        try {
+            await this.prepareRounds();
+        } catch (error) {
+            this.running = false;
+            throw error;
+        }
+        if (!this.running) {
+            return;
+        }
+
+        this.rounds.reset();
+        this.rounds.schedule(() => this.openBetting());
+        this.tickInterval = setInterval(() => this.emitTick(), gameConfig.tickIntervalMs);
+    }
+
+    // Stops the round loop, e.g. when this node loses leadership. A round in progress
+    // is abandoned and closed by whichever node runs the loop next.
+    stop() {
+        if (!this.running) {
+            return;
+        }
+
+        this.running = false;
+        clearInterval(this.tickInterval);
+        this.tickInterval = null;
+        this.clearRoundTimers();
+        this.rounds.reset();
+        this.resetForNewRound();
+
+        this.resolveDrain?.();
+        this.resolveDrain = null;
+        this.drainPromise = null;
+    }
+
+    // Lets the round in progress crash and settle, then stops the loop instead of
+    // opening another betting phase. Resolves once no round is holding stakes.
+    drain() {
+        if (!this.running) {
+            return Promise.resolve();
+        }
+
+        if (!this.drainPromise) {
+            this.drainPromise = new Promise(resolve => {
+                this.resolveDrain = resolve;
+            });
+        }
+
+        const drained = this.drainPromise;
+        if (this.gameState === 'waiting') {
+            this.stop();
+        }
+
+        return drained;
+    }
+
+    // Lets consumers keep countdowns and curves in step during betting and the active phase
+    emitTick() {
+        if (this.gameState !== 'betting' && this.gameState !== 'active') {
+            return;
+        }
+
+        this.emit(GAME_EVENTS.TICK, {
+            phase: this.gameState,
+            roundNumber: this.currentRound.roundNumber,
+            hash: this.currentRound.hash,
+            multiplier: this.multiplier,
+            timeLeft: this.rounds.getTimeLeft(),
+            startTime: this.startTime,
+            serverTime: Date.now(),
+            curve: gameConfig.curve
+        });
+    }
+
+    async openBetting() {
+        if (this.drainPromise) {
+            this.stop();
+            return;
+        }
+
+        try {
             await this.createNewRound();
+        } catch (error) {
+            console.error('❌ Failed to create round, retrying:', error);
+            this.rounds.reset();
+            this.rounds.schedule(() => this.openBetting());
+            return;
+        }
+        if (!this.running) {
+            return;
         }
 
-        this.currentRound.status = 'active';
-        this.currentRound.startTime = new Date();
-        this.gameState = 'active';
-        this.multiplier = 1.0;
-        this.startTime = Date.now();
+        const { endsAt } = this.rounds.transition('betting', { round: this.currentRound });
+        this.rounds.schedule(() => this.closeBetting());
+        this.emit(GAME_EVENTS.BETTING_OPENED, {
+            roundId: this.currentRound._id.toString(),
+            roundNumber: this.currentRound.roundNumber,
+            hash: this.currentRound.hash,
+            endsAt
+        });
+    }
+
+    async closeBetting() {
+        try {
+            await this.startRound();
+        } catch (error) {
+            if (!this.running) {
+                return;
+            }
+            console.error(`❌ Failed to start round ${this.currentRound?.roundNumber}:`, error);
+            this.finishRound();
+        }
+    }
 
-        await this.currentRound.save();
+    finishRound() {
+        if (this.drainPromise) {
+            this.stop();
+            return;
+        }
 
-        this.multiplierInterval = setInterval(() => {
-            this.updateMultiplier();
-        }, 100);
+        this.resetForNewRound();
+        this.rounds.transition('waiting');
+        this.rounds.schedule(() => this.openBetting());
     }
 
-    updateMultiplier() {
-        const elapsed = (Date.now() - this.startTime) / 1000;
+    async startRound() {
+        // Closing betting in the database first means no bet can land after the
+        // client seed contributions have been read.
+        const round = await GameRound.findOneAndUpdate(
+            { _id: this.currentRound._id, status: 'betting' },
+            { $set: { status: 'active', startTime: new Date() } },
+            { new: true }
+        );
+        if (!this.running) {
+            return;
+        }
 
-        const growthRate = 0.08; 
-        this.multiplier = Math.pow(Math.E, growthRate * elapsed);
+        if (!round) {
+            throw new Error(`Round ${this.currentRound.roundNumber} is no longer in the betting phase`);
+        }
 
-        if (this.multiplier >= this.currentRound.crashPoint) {
-            this.crashGame();
+        const clientSeed = this.buildRoundClientSeed(round);
+        const { crashPoint } = this.generateProvablyFairCrash(
+            round.seed,
+            clientSeed,
+            round.nonce,
+            round.crashParams
+        );
+
+        round.clientSeed = clientSeed;
+        round.crashPoint = crashPoint;
+        await GameRound.updateOne({ _id: round._id }, { $set: { clientSeed, crashPoint } });
+        if (!this.running) {
+            return;
         }
+
+        this.currentRound = round;
+        this.startTime = round.startTime.getTime();
+        this.scheduleRoundTimers();
+        this.rounds.transition('active', { round });
+        this.emit(GAME_EVENTS.ROUND_STARTED, {
+            roundId: round._id.toString(),
+            roundNumber: round.roundNumber,
+            startTime: this.startTime,
+            serverTime: Date.now(),
+            curve: gameConfig.curve
+        });
+    }
+
+    // Everything that happens during the active phase is known once betting closes:
+    // auto cashouts fire when the curve reaches their targets and the crash fires when
+    // it reaches the crash point, so no polling of the multiplier is needed.
+    scheduleRoundTimers() {
+        const { crashPoint, activeBets } = this.currentRound;
+        const schedule = (timestamp, callback) => {
+            this.roundTimers.push(setTimeout(callback, Math.max(0, timestamp - Date.now())));
+        };
+
+        const targets = new Set(activeBets
+            .filter(bet => bet.autoCashoutAt && bet.autoCashoutAt <= crashPoint)
+            .map(bet => bet.autoCashoutAt));
+        for (const target of targets) {
+            schedule(this.startTime + timeToReach(target, gameConfig.curve.growthRate), () => {
+                this.triggerAutoCashouts(target);
+            });
+        }
+
+        schedule(this.getCrashTime(), () => {
+            this.crashGame().catch(error => {
+                console.error('❌ Failed to crash round:', error);
+            });
+        });
+    }
+
+    clearRoundTimers() {
+        this.roundTimers.forEach(timer => clearTimeout(timer));
+        this.roundTimers = [];
     }
 
     async crashGame() {
-        clearInterval(this.multiplierInterval);
-        
-        this.gameState = 'crashed';
-        this.currentRound.status = 'crashed';
-        this.currentRound.crashTime = new Date();
-        
-        await this.currentRound.save();
-        
-     
+        this.clearRoundTimers();
+        this.triggerAutoCashouts(this.currentRound.crashPoint);
+
+        const round = this.currentRound;
+        round.status = 'crashed';
+        round.crashTime = new Date(this.getCrashTime());
+        this.rounds.transition('crashed', { round });
+        this.emit(GAME_EVENTS.CRASHED, {
+            roundId: round._id.toString(),
+            roundNumber: round.roundNumber,
+            crashPoint: round.crashPoint,
+            crashTime: round.crashTime.getTime(),
+            hash: round.hash,
+            seed: round.seed,
+            clientSeed: round.clientSeed,
+            nonce: round.nonce
+        });
+
+        try {
+            // Cashouts received below the crash point must land before the round closes.
+            await Promise.allSettled([...this.pendingAutoCashouts.values(), ...this.pendingCashouts]);
+
+            await GameRound.updateOne(
+                { _id: round._id },
+                { $set: { status: 'crashed', crashTime: round.crashTime } }
+            );
+        } catch (error) {
+            console.error(`❌ Failed to close round ${round.roundNumber}:`, error);
+        }
+        if (!this.running) {
+            return;
+        }
+
         this.processUncastedBets();
-        
-        setTimeout(() => {
-            this.resetForNewRound();
-        }, 2000);
+        this.rounds.transition('settled', { round });
+        this.rounds.schedule(() => this.finishRound());
+        this.emit(GAME_EVENTS.SETTLED, {
+            roundId: round._id.toString(),
+            roundNumber: round.roundNumber,
+            crashPoint: round.crashPoint,
+            bets: round.activeBets.map(bet => ({
+                betId: bet._id.toString(),
+                sessionId: bet.sessionId,
+                playerName: bet.playerName,
+                usdAmount: bet.usdAmount,
+                lostUsdAmount: bet.cashedOut ? 0 : this.getRemainingStake(bet).usdAmount,
+                profit: this.getBetProfit(bet)
+            }))
+        });
     }
 
     processUncastedBets() {
@@ -273,28 +1159,72 @@ class GameEngineService {
             return;
         }
 
+        // Whatever is left of a bet, partially cashed out or not, is lost with the round.
         const uncastedBets = this.currentRound.activeBets.filter(bet => !bet.cashedOut);
         
         for (const bet of uncastedBets) {
-            const session = this.sessions.get(bet.sessionId);
-            if (session && session.currentBet) {
-                session.currentBet.isActive = false;
+            const betSummary = this.sessions.get(bet.sessionId)?.currentBets
+                .find(entry => entry.betId === bet._id.toString());
+            if (betSummary) {
+                betSummary.isActive = false;
             }
         }
     }
 
     resetForNewRound() {
+        this.clearRoundTimers();
         this.currentRound = null;
-        this.multiplier = 1.0;
-        this.gameState = 'waiting';
+        this.startTime = null;
+    }
+
+    // One entry of the activeBets list in getRoundState
+    getBetState(betId) {
+        return this.currentRound?.activeBets.find(bet => bet._id.toString() === String(betId)) || null;
+    }
+
+    // A bet as other players may see it. The sessionId is left out: it is all an
+    // anonymous player needs to cash out over HTTP.
+    toPublicBet(bet) {
+        return {
+            betId: bet._id.toString(),
+            playerName: bet.playerName,
+            usdAmount: bet.usdAmount,
+            cryptoAmount: bet.cryptoAmount,
+            cryptocurrency: bet.cryptocurrency,
+            autoCashoutAt: bet.autoCashoutAt ?? null,
+            cashedOut: bet.cashedOut,
+            remainingUsdAmount: bet.remainingUsdAmount ?? bet.usdAmount,
+            remainingCryptoAmount: bet.remainingCryptoAmount ?? bet.cryptoAmount,
+            cashouts: (bet.cashouts || []).map(({ multiplier, usdAmount, payoutUsd, automatic }) => ({ multiplier, usdAmount, payoutUsd, automatic }))
+        };
     }
 
     getCurrentGameState() {
+        const state = this.getRoundState();
+        return { ...state, activeBets: state.activeBets.map(bet => this.toPublicBet(bet)) };
+    }
+
+    // The round with its bets as stored, sessions included. Only for this server and
+    // its cluster peers; clients get getCurrentGameState.
+    getRoundState() {
+        if (this.remote?.getGameState()) {
+            return this.remote.getGameState();
+        }
+
         return {
             roundNumber: this.currentRound?.roundNumber || 0,
             status: this.gameState,
             multiplier: this.multiplier,
-            crashPoint: this.gameState === 'crashed' ? this.currentRound?.crashPoint : null,
+            phaseEndsAt: this.rounds.phaseEndsAt,
+            startTime: this.gameState === 'active' || this.isRoundOver() ? this.startTime : null,
+            serverTime: Date.now(),
+            curve: gameConfig.curve,
+            crashPoint: this.isRoundOver() ? this.currentRound?.crashPoint : null,
+            hash: this.currentRound?.hash || null,
+            seed: this.isRoundOver() ? this.currentRound?.seed : null,
+            publicSalt: this.currentRound?.publicSalt || null,
+            clientSeed: this.isRoundOver() ? this.currentRound?.clientSeed : null,
+            nonce: this.currentRound?.nonce ?? null,
             totalBets: this.currentRound?.totalBets || 0,
             totalPlayers: this.currentRound?.totalPlayers || 0,
             activeBets: this.currentRound?.activeBets || [],
@@ -302,14 +1232,22 @@ class GameEngineService {
         };
     }
 
+    getFairnessInfo() {
+        return hashChainService.getCommitment();
+    }
+
     getSessionInfo(sessionId) {
         return this.getSession(sessionId);
     }
 
+    async getWalletSummary(sessionId) {
+        return walletService.summarize(this.getSession(sessionId).wallets);
+    }
+
     cleanupSessions() {
         const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
         for (const [sessionId, session] of this.sessions.entries()) {
-            if (session.joinedAt < oneHourAgo && (!session.currentBet || !session.currentBet.isActive)) {
+            if (session.joinedAt < oneHourAgo && !session.currentBets.some(bet => bet.isActive)) {
                 this.sessions.delete(sessionId);
             }
         }
@@ -0,0 +1,63 @@
+// Machine-readable reasons a request was refused. They are sent to WebSocket clients
+// as `error.code` and to HTTP clients as `code`, next to the human-readable message.
+export const ERROR_CODES = Object.freeze({
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_MESSAGE: 'INVALID_MESSAGE',
+    UNKNOWN_MESSAGE_TYPE: 'UNKNOWN_MESSAGE_TYPE',
+    UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION',
+    RATE_LIMITED: 'RATE_LIMITED',
+    UNAUTHORIZED: 'UNAUTHORIZED',
+    FORBIDDEN: 'FORBIDDEN',
+    SESSION_EXPIRED: 'SESSION_EXPIRED',
+    RESUME_FAILED: 'RESUME_FAILED',
+    BETTING_CLOSED: 'BETTING_CLOSED',
+    BET_LIMIT_REACHED: 'BET_LIMIT_REACHED',
+    INSUFFICIENT_BALANCE: 'INSUFFICIENT_BALANCE',
+    UNSUPPORTED_CURRENCY: 'UNSUPPORTED_CURRENCY',
+    INVALID_AMOUNT: 'INVALID_AMOUNT',
+    CASHOUT_CLOSED: 'CASHOUT_CLOSED',
+    NO_ACTIVE_BET: 'NO_ACTIVE_BET',
+    BET_ID_REQUIRED: 'BET_ID_REQUIRED',
+    AUTO_BET_RUNNING: 'AUTO_BET_RUNNING',
+    NO_AUTO_BET: 'NO_AUTO_BET',
+    CHAT_MUTED: 'CHAT_MUTED',
+    CHAT_MESSAGE_NOT_FOUND: 'CHAT_MESSAGE_NOT_FOUND',
+    // Anything refused without a more specific code, e.g. a malformed field value
+    REQUEST_FAILED: 'REQUEST_FAILED'
+});
+
+export const ERROR_DESCRIPTIONS = Object.freeze({
+    INVALID_JSON: 'The message is not valid JSON',
+    INVALID_MESSAGE: 'The envelope or data does not match the schema',
+    UNKNOWN_MESSAGE_TYPE: 'No such message type',
+    UNSUPPORTED_VERSION: 'The server does not speak this protocol version',
+    RATE_LIMITED: 'Too many messages of this type; retry after details.retryAfterMs',
+    UNAUTHORIZED: 'The token is invalid or expired',
+    FORBIDDEN: 'The account\'s role does not allow this',
+    SESSION_EXPIRED: 'The session no longer exists on the server',
+    RESUME_FAILED: 'The resume token is invalid, spent or expired',
+    BETTING_CLOSED: 'No round is taking bets',
+    BET_LIMIT_REACHED: 'The session already has the maximum number of bets in this round',
+    INSUFFICIENT_BALANCE: 'The wallet cannot cover the stake',
+    UNSUPPORTED_CURRENCY: 'The coin is not supported',
+    INVALID_AMOUNT: 'An amount or multiplier in a bet, cashout, auto bet or swap is out of range',
+    CASHOUT_CLOSED: 'The round is not in a phase that allows cashing out',
+    NO_ACTIVE_BET: 'The session has no open bet matching the request',
+    BET_ID_REQUIRED: 'The session has several open bets and betId was not given',
+    AUTO_BET_RUNNING: 'An auto bet strategy is already running',
+    NO_AUTO_BET: 'No auto bet strategy is running',
+    CHAT_MUTED: 'A moderator has muted the session; details.mutedUntil says until when',
+    CHAT_MESSAGE_NOT_FOUND: 'No recent chat message has that id',
+    REQUEST_FAILED: 'The request was refused for another reason; see message'
+});
+
+export class GameError extends Error {
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'GameError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+export const getErrorCode = (error) => (Object.hasOwn(ERROR_CODES, error?.code) ? error.code : ERROR_CODES.REQUEST_FAILED);
@@ -0,0 +1,24 @@
+// Events emitted by the game engine. Transports and other consumers (webhooks, audit
+// logs) subscribe to these instead of reading engine state. Payloads:
+//
+// roundCreated  { roundId, roundNumber, hash, publicSalt, nonce }
+// bettingOpened { roundId, roundNumber, hash, endsAt }
+// roundStarted  { roundId, roundNumber, startTime, serverTime, curve }
+// tick          { phase, roundNumber, hash, multiplier, timeLeft, startTime, serverTime, curve }
+// betPlaced     { roundId, roundNumber, sessionId, playerName, source, bet, totalBets, result }
+// cashedOut     { roundId, roundNumber, sessionId, playerName, betId, automatic, partial, multiplier, winAmount, result }
+// crashed       { roundId, roundNumber, crashPoint, crashTime, hash, seed, clientSeed, nonce }
+// settled       { roundId, roundNumber, crashPoint, bets: [{ betId, sessionId, playerName, usdAmount, lostUsdAmount, profit }] }
+//
+// Times are milliseconds since the epoch and timeLeft is in milliseconds. `result` is
+// the same object returned to the player who placed the bet or cashed out.
+export const GAME_EVENTS = Object.freeze({
+    ROUND_CREATED: 'roundCreated',
+    BETTING_OPENED: 'bettingOpened',
+    ROUND_STARTED: 'roundStarted',
+    TICK: 'tick',
+    BET_PLACED: 'betPlaced',
+    CASHED_OUT: 'cashedOut',
+    CRASHED: 'crashed',
+    SETTLED: 'settled'
+});
@@ -0,0 +1,102 @@
+import crypto from 'node:crypto';
+import HashChain from '../api/models/hash-chain.model.js';
+import { sha256 } from '../utils/provably-fair.js';
+
+// Reverse SHA-256 hash chain. seeds[i] = sha256(seeds[i - 1]) and rounds consume
+// the chain from the end, so every revealed seed hashes into the seed of the
+// previous round and, eventually, into the terminal hash announced up front.
+class HashChainService {
+    constructor() {
+        this.chain = null;
+        this.seeds = [];
+        this.chainLength = parseInt(process.env.HASH_CHAIN_LENGTH, 10) || 10000;
+    }
+
+    buildSeeds(rootSeed, length) {
+        const seeds = new Array(length);
+        seeds[0] = rootSeed;
+        for (let i = 1; i < length; i++) {
+            seeds[i] = sha256(seeds[i - 1]);
+        }
+        return seeds;
+    }
+
+    async createChain() {
+        const rootSeed = crypto.randomBytes(32).toString('hex');
+        const seeds = this.buildSeeds(rootSeed, this.chainLength);
+
+        const chain = await HashChain.create({
+            rootSeed,
+            length: this.chainLength,
+            terminalHash: sha256(seeds[seeds.length - 1])
+        });
+
+        console.log(`🔗 New hash chain created. Terminal hash: ${chain.terminalHash}`);
+        this.chain = chain;
+        this.seeds = seeds;
+        return chain;
+    }
+
+    async initialize() {
+        const chain = await HashChain.findOne({ status: 'active' })
+            .sort({ createdAt: -1 })
+            .select('+rootSeed');
+
+        if (!chain || chain.nextIndex >= chain.length) {
+            if (chain) {
+                chain.status = 'exhausted';
+                await chain.save();
+            }
+            return this.createChain();
+        }
+
+        this.chain = chain;
+        this.seeds = this.buildSeeds(chain.rootSeed, chain.length);
+        return chain;
+    }
+
+    async nextSeed() {
+        if (!this.chain) {
+            await this.initialize();
+        }
+
+        const claimed = await HashChain.findOneAndUpdate(
+            { _id: this.chain._id, status: 'active', nextIndex: { $lt: this.chain.length } },
+            { $inc: { nextIndex: 1 } },
+            { new: false }
+        );
+
+        if (!claimed) {
+            await HashChain.updateOne({ _id: this.chain._id }, { status: 'exhausted' });
+            await this.createChain();
+            return this.nextSeed();
+        }
+
+        const chainIndex = claimed.nextIndex;
+        this.chain.nextIndex = chainIndex + 1;
+        const seed = this.seeds[this.chain.length - 1 - chainIndex];
+
+        return {
+            seed,
+            hash: sha256(seed),
+            chainId: this.chain._id,
+            chainIndex
+        };
+    }
+
+    getCommitment() {
+        if (!this.chain) {
+            return null;
+        }
+
+        return {
+            chainId: this.chain._id,
+            terminalHash: this.chain.terminalHash,
+            length: this.chain.length,
+            roundsUsed: this.chain.nextIndex
+        };
+    }
+}
+
+export { HashChainService };
+export default new HashChainService();
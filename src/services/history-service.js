@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+import GameRound from '../api/models/game-round.model.js';
+import RecoveryAudit from '../api/models/recovery-audit.model.js';
+import gameEngine from './game-engine.js';
+
+const FINISHED_STATUSES = ['crashed', 'completed'];
+
+// Read side of finished rounds. Pages are keyed by the last _id returned, which
+// follows round and bet order and stays stable while new rounds are written.
+class HistoryService {
+    async getRounds({ cursor = null, limit = 20, minCrash = null, maxCrash = null, from = null, to = null } = {}) {
+        // Rounds closed by crash recovery never reached their crash point
+        const filter = { status: { $in: FINISHED_STATUSES }, recoveredAt: null };
+        if (cursor) {
+            filter._id = { $lt: cursor };
+        }
+        if (minCrash != null || maxCrash != null) {
+            filter.crashPoint = {};
+            if (minCrash != null) {
+                filter.crashPoint.$gte = minCrash;
+            }
+            if (maxCrash != null) {
+                filter.crashPoint.$lte = maxCrash;
+            }
+        }
+        if (from || to) {
+            filter.startTime = {};
+            if (from) {
+                filter.startTime.$gte = from;
+            }
+            if (to) {
+                filter.startTime.$lte = to;
+            }
+        }
+
+        const rounds = await GameRound.find(filter)
+            .sort({ _id: -1 })
+            .limit(limit + 1)
+            .select('roundNumber hash seed crashPoint status startTime crashTime totalBets totalPlayers activeBets.usdAmount')
+            .lean();
+
+        const page = rounds.slice(0, limit);
+        return {
+            items: page.map(round => ({
+                roundNumber: round.roundNumber,
+                crashPoint: round.crashPoint,
+                hash: round.hash,
+                seed: round.seed,
+                startTime: round.startTime,
+                crashTime: round.crashTime,
+                totalBets: round.totalBets,
+                totalPlayers: round.totalPlayers,
+                totalWageredUsd: round.activeBets.reduce((sum, bet) => sum + bet.usdAmount, 0)
+            })),
+            limit,
+            nextCursor: rounds.length > limit ? page[page.length - 1]._id.toString() : null
+        };
+    }
+
+    async getRound(roundNumber) {
+        const round = await GameRound.findOne({ roundNumber }).sort({ createdAt: -1 }).lean();
+        if (!round) {
+            return null;
+        }
+
+        const finished = FINISHED_STATUSES.includes(round.status);
+        const recovered = Boolean(round.recoveredAt);
+        const audits = recovered ? await this.getAudits([round._id]) : new Map();
+
+        return {
+            roundNumber: round.roundNumber,
+            status: round.status,
+            finished,
+            recovered,
+            hash: round.hash,
+            // The seed and crash point stay secret until the round has crashed
+            seed: finished && !recovered ? round.seed : null,
+            crashPoint: finished && !recovered ? round.crashPoint : null,
+            startTime: round.startTime,
+            crashTime: finished && !recovered ? round.crashTime : null,
+            recoveredAt: round.recoveredAt || null,
+            totalBets: round.totalBets,
+            totalPlayers: round.totalPlayers,
+            bets: finished
+                ? round.activeBets.map(bet => ({
+                    playerName: bet.playerName,
+                    ...this.formatBet(bet, audits.get(bet._id.toString()))
+                }))
+                : []
+        };
+    }
+
+    async getPlayerBets(playerId, { cursor = null, limit = 20 } = {}) {
+        const sessionId = gameEngine.getPlayerSessionId(playerId);
+        const pipeline = [
+            { $match: { 'activeBets.sessionId': sessionId, status: { $in: FINISHED_STATUSES } } },
+            { $unwind: '$activeBets' },
+            { $match: { 'activeBets.sessionId': sessionId } }
+        ];
+        if (cursor) {
+            pipeline.push({ $match: { 'activeBets._id': { $lt: new mongoose.Types.ObjectId(cursor) } } });
+        }
+        pipeline.push(
+            { $sort: { 'activeBets._id': -1 } },
+            { $limit: limit + 1 },
+            { $project: { roundNumber: 1, crashPoint: 1, recoveredAt: 1, startTime: 1, bet: '$activeBets' } }
+        );
+
+        const rows = await GameRound.aggregate(pipeline);
+        const page = rows.slice(0, limit);
+        const audits = await this.getAudits(page.filter(row => row.recoveredAt).map(row => row._id));
+
+        return {
+            items: page.map(row => ({
+                roundNumber: row.roundNumber,
+                startTime: row.startTime,
+                crashPoint: row.recoveredAt ? null : row.crashPoint,
+                recovered: Boolean(row.recoveredAt),
+                ...this.formatBet(row.bet, audits.get(row.bet._id.toString()))
+            })),
+            limit,
+            nextCursor: rows.length > limit ? page[page.length - 1].bet._id.toString() : null
+        };
+    }
+
+    async getAudits(roundIds) {
+        if (roundIds.length === 0) {
+            return new Map();
+        }
+
+        const audits = await RecoveryAudit.find({ round: { $in: roundIds } }).lean();
+        return new Map(audits.map(audit => [audit.bet.toString(), audit]));
+    }
+
+    // Bets placed before partial cashouts only kept a single multiplier
+    getCashouts(bet) {
+        if (bet.cashouts?.length || !bet.cashedOut || bet.cashoutMultiplier == null) {
+            return bet.cashouts || [];
+        }
+
+        return [{
+            multiplier: bet.cashoutMultiplier,
+            usdAmount: bet.usdAmount,
+            payoutUsd: bet.usdAmount * bet.cashoutMultiplier,
+            automatic: bet.autoCashedOut,
+            cashoutTime: bet.cashoutTime
+        }];
+    }
+
+    // Profit is valued at the price the stake was placed at, as in settlement. Stake that
+    // crash recovery refunded, or found was never debited, is not counted as lost.
+    formatBet(bet, audit = null) {
+        const cashouts = this.getCashouts(bet).map(cashout => ({
+            multiplier: cashout.multiplier,
+            usdAmount: cashout.usdAmount,
+            payoutUsd: cashout.payoutUsd,
+            payoutCrypto: cashout.payoutCrypto,
+            automatic: cashout.automatic,
+            cashoutTime: cashout.cashoutTime
+        }));
+        const refundUsd = audit?.refundUsd || 0;
+        const unsettledUsd = audit?.resolution === 'void' ? gameEngine.getRemainingStake(bet).usdAmount : 0;
+        const profit = gameEngine.getBetProfit({ usdAmount: bet.usdAmount, cashouts }) + refundUsd + unsettledUsd;
+
+        let outcome;
+        if (audit && audit.resolution !== 'paid') {
+            outcome = audit.resolution;
+        } else if (bet.cashedOut) {
+            outcome = 'cashed_out';
+        } else {
+            outcome = cashouts.length > 0 ? 'partially_cashed_out' : 'lost';
+        }
+
+        return {
+            betId: bet._id.toString(),
+            usdAmount: bet.usdAmount,
+            cryptoAmount: bet.cryptoAmount,
+            cryptocurrency: bet.cryptocurrency,
+            autoCashoutAt: bet.autoCashoutAt ?? null,
+            betTime: bet.betTime,
+            cashouts,
+            refundUsd,
+            outcome,
+            profit
+        };
+    }
+}
+
+export default new HistoryService();
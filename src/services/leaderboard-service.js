@@ -0,0 +1,193 @@
+import { EventEmitter } from 'node:events';
+import GameRound from '../api/models/game-round.model.js';
+import gameEngine from './game-engine.js';
+import { GAME_EVENTS } from './game-events.js';
+import leaderboardConfig from '../config/leaderboard.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rolling windows, so a board never empties out at midnight
+export const LEADERBOARD_PERIODS = {
+    daily: DAY_MS,
+    weekly: 7 * DAY_MS,
+    allTime: null
+};
+
+// USD returned by a bet's cashouts, valued at the price the stake was placed at as in
+// settlement. Bets from before partial cashouts only kept a single multiplier.
+const RETURNED_USD = {
+    $cond: [
+        { $gt: [{ $size: { $ifNull: ['$activeBets.cashouts', []] } }, 0] },
+        { $sum: { $map: { input: '$activeBets.cashouts', in: { $multiply: ['$$this.usdAmount', '$$this.multiplier'] } } } },
+        { $cond: ['$activeBets.cashedOut', { $multiply: ['$activeBets.usdAmount', { $ifNull: ['$activeBets.cashoutMultiplier', 0] }] }, 0] }
+    ]
+};
+
+const HIGHEST_MULTIPLIER = {
+    $ifNull: [{ $max: '$activeBets.cashouts.multiplier' }, { $cond: ['$activeBets.cashedOut', '$activeBets.cashoutMultiplier', null] }]
+};
+
+// Ranks registered players over GameRound.activeBets: their largest single win, their highest
+// cashout multiplier and their net profit. Play-money sessions are left out, as are rounds closed
+// by crash recovery, whose stakes were refunded.
+class LeaderboardService extends EventEmitter {
+    constructor() {
+        super();
+        this.cache = new Map();
+        // period -> aggregation in flight, shared by everyone asking for that period
+        this.computing = new Map();
+        this.refreshing = null;
+
+        gameEngine.on(GAME_EVENTS.SETTLED, () => {
+            // Only the node running the rounds rebuilds after each one. Followers push
+            // their cached boards, which are rebuilt once older than the cache TTL.
+            const boards = gameEngine.remote ? this.getLeaderboards() : this.refresh();
+            boards
+                .then(boards => this.emit('update', boards))
+                .catch(error => {
+                    console.error('❌ Failed to refresh leaderboards:', error);
+                });
+        });
+    }
+
+    buildPipeline(since, size) {
+        const match = { status: { $in: ['crashed', 'completed'] }, recoveredAt: null };
+        if (since) {
+            match.startTime = { $gte: since };
+        }
+
+        const top = (field) => [
+            { $sort: { [field]: -1, betTime: 1 } },
+            {
+                $group: {
+                    _id: '$sessionId',
+                    playerName: { $first: '$playerName' },
+                    value: { $first: `$${field}` },
+                    roundNumber: { $first: '$roundNumber' },
+                    usdAmount: { $first: '$usdAmount' },
+                    betTime: { $first: '$betTime' }
+                }
+            },
+            { $sort: { value: -1, betTime: 1 } },
+            { $limit: size }
+        ];
+
+        return [
+            { $match: match },
+            { $unwind: '$activeBets' },
+            { $match: { 'activeBets.sessionId': /^player:/ } },
+            {
+                $project: {
+                    _id: 0,
+                    roundNumber: 1,
+                    sessionId: '$activeBets.sessionId',
+                    playerName: '$activeBets.playerName',
+                    usdAmount: '$activeBets.usdAmount',
+                    betTime: '$activeBets.betTime',
+                    profit: { $subtract: [RETURNED_USD, '$activeBets.usdAmount'] },
+                    multiplier: HIGHEST_MULTIPLIER
+                }
+            },
+            {
+                $facet: {
+                    biggestWin: [{ $match: { profit: { $gt: 0 } } }, ...top('profit')],
+                    highestMultiplier: [{ $match: { multiplier: { $ne: null } } }, ...top('multiplier')],
+                    netProfit: [
+                        { $sort: { betTime: -1 } },
+                        {
+                            $group: {
+                                _id: '$sessionId',
+                                playerName: { $first: '$playerName' },
+                                value: { $sum: '$profit' },
+                                bets: { $sum: 1 },
+                                wageredUsd: { $sum: '$usdAmount' }
+                            }
+                        },
+                        { $sort: { value: -1, _id: 1 } },
+                        { $limit: size }
+                    ]
+                }
+            }
+        ];
+    }
+
+    formatBoard(entries) {
+        return entries.map(({ _id, value, betTime, ...entry }, index) => ({
+            rank: index + 1,
+            playerId: _id.slice('player:'.length),
+            ...entry,
+            value
+        }));
+    }
+
+    async compute(period) {
+        const windowMs = LEADERBOARD_PERIODS[period];
+        const since = windowMs ? new Date(Date.now() - windowMs) : null;
+        const [result] = await GameRound.aggregate(this.buildPipeline(since, leaderboardConfig.size));
+
+        return {
+            period,
+            since,
+            biggestWin: this.formatBoard(result.biggestWin),
+            highestMultiplier: this.formatBoard(result.highestMultiplier),
+            netProfit: this.formatBoard(result.netProfit),
+            updatedAt: new Date()
+        };
+    }
+
+    async getLeaderboard(period) {
+        if (!Object.hasOwn(LEADERBOARD_PERIODS, period)) {
+            throw new Error(`period must be one of: ${Object.keys(LEADERBOARD_PERIODS).join(', ')}`);
+        }
+
+        const cached = this.cache.get(period);
+        if (cached && Date.now() - cached.updatedAt.getTime() < leaderboardConfig.cacheTtlMs) {
+            return cached;
+        }
+
+        return this.load(period);
+    }
+
+    // The previous board stays cached, and is served to fresh-enough requests, until
+    // the new one is ready
+    load(period) {
+        if (!this.computing.has(period)) {
+            this.computing.set(period, this.compute(period)
+                .then(board => {
+                    this.cache.set(period, board);
+                    return board;
+                })
+                .finally(() => this.computing.delete(period)));
+        }
+        return this.computing.get(period);
+    }
+
+    async getLeaderboards() {
+        const boards = {};
+        for (const period of Object.keys(LEADERBOARD_PERIODS)) {
+            boards[period] = await this.getLeaderboard(period);
+        }
+        return boards;
+    }
+
+    // Rebuilds the rolling windows after a round. The all-time board barely moves in
+    // one round and scans every round ever played, so it is only rebuilt on the cache
+    // TTL. Rounds settle faster than a slow aggregation on a big collection may finish,
+    // so overlapping calls share one rebuild.
+    refresh() {
+        if (!this.refreshing) {
+            this.refreshing = (async () => {
+                const boards = {};
+                for (const [period, windowMs] of Object.entries(LEADERBOARD_PERIODS)) {
+                    boards[period] = windowMs ? await this.load(period) : await this.getLeaderboard(period);
+                }
+                return boards;
+            })().finally(() => {
+                this.refreshing = null;
+            });
+        }
+        return this.refreshing;
+    }
+}
+
+export default new LeaderboardService();
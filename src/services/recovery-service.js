@@ -0,0 +1,199 @@
+import GameRound from '../api/models/game-round.model.js';
+import RecoveryAudit from '../api/models/recovery-audit.model.js';
+import Transaction from '../api/models/transaction.model.js';
+import walletService from './wallet-service.js';
+import gameConfig from '../config/game.js';
+
+const getPlayerId = (sessionId) => (sessionId?.startsWith('player:') ? sessionId.slice('player:'.length) : null);
+
+// Resolves rounds a previous process left in betting or active. Every step reuses the
+// ledger idempotency keys of the normal bet flow, so recovery that is itself interrupted
+// can run again without paying anything twice.
+class RecoveryService {
+    async recoverOpenRounds() {
+        const rounds = await GameRound.find({ status: { $in: ['betting', 'active'] } }).sort({ roundNumber: 1 });
+        const audits = [];
+
+        for (const round of rounds) {
+            audits.push(...await this.recoverRound(round));
+        }
+
+        return audits;
+    }
+
+    async recoverRound(round) {
+        // Nothing was at risk yet in a round still taking bets
+        const policy = round.status === 'betting' ? 'refund' : gameConfig.recovery.activeBetPolicy;
+        const audits = [];
+
+        for (const bet of round.activeBets) {
+            audits.push(await this.recoverBet(round, bet, policy));
+        }
+        audits.push(...await this.refundOrphanedDebits(round));
+
+        await GameRound.updateOne(
+            { _id: round._id, status: round.status },
+            { $set: { status: 'completed', recoveredAt: new Date() } }
+        );
+
+        console.log(`🩹 Recovered round ${round.roundNumber} (${round.status}): ${audits.length} bets resolved with policy "${policy}"`);
+        return audits;
+    }
+
+    async recoverBet(round, bet, policy) {
+        const playerId = getPlayerId(bet.sessionId);
+        const audit = {
+            round: round._id,
+            roundNumber: round.roundNumber,
+            roundStatus: round.status,
+            bet: bet._id,
+            sessionId: bet.sessionId,
+            player: playerId,
+            playerName: bet.playerName,
+            currency: bet.cryptocurrency,
+            policy,
+            stakeUsd: bet.usdAmount,
+            transactions: []
+        };
+
+        if (!playerId) {
+            return this.writeAudit({ ...audit, resolution: 'void', reason: 'Play-money wallets do not survive a restart' });
+        }
+
+        // Cashouts marked on the bet are owed whether or not their credit landed
+        for (const [index, cashout] of (bet.cashouts || []).entries()) {
+            const payout = await walletService.record(playerId, {
+                type: 'payout',
+                currency: bet.cryptocurrency,
+                amount: cashout.payoutCrypto,
+                priceAtTime: cashout.payoutUsd / cashout.payoutCrypto,
+                round,
+                description: `Cashout at ${cashout.multiplier.toFixed(2)}x on round ${round.roundNumber}`,
+                idempotencyKey: `payout:${bet._id}:${index}`
+            });
+            audit.transactions.push(payout._id);
+            audit.paidOutUsd = (audit.paidOutUsd || 0) + cashout.payoutUsd;
+        }
+
+        const remainingCrypto = bet.cashedOut ? 0 : bet.remainingCryptoAmount ?? bet.cryptoAmount;
+        const remainingUsd = bet.cashedOut ? 0 : bet.remainingUsdAmount ?? bet.usdAmount;
+
+        if (remainingCrypto <= 0) {
+            return this.writeAudit({ ...audit, resolution: 'paid' });
+        }
+
+        if (policy === 'lost') {
+            return this.writeAudit({ ...audit, resolution: 'lost', lostUsd: remainingUsd, reason: 'Round interrupted after it started' });
+        }
+
+        const debited = await Transaction.exists({ player: playerId, idempotencyKey: `bet:${bet._id}` });
+        if (!debited) {
+            return this.writeAudit({ ...audit, resolution: 'void', reason: 'Stake was never debited' });
+        }
+
+        const refund = await walletService.record(playerId, {
+            type: 'refund',
+            currency: bet.cryptocurrency,
+            amount: remainingCrypto,
+            round,
+            description: `Refund of interrupted round ${round.roundNumber}`,
+            idempotencyKey: `refund:${bet._id}`
+        });
+        audit.transactions.push(refund._id);
+
+        return this.writeAudit({
+            ...audit,
+            resolution: 'refunded',
+            refundCrypto: remainingCrypto,
+            refundUsd: remainingUsd,
+            reason: 'Round interrupted'
+        });
+    }
+
+    // Without transactions a bet's debit is written before the bet itself, so a crash in
+    // between leaves a debit the round knows nothing about.
+    async refundOrphanedDebits(round) {
+        const betIds = new Set(round.activeBets.map(bet => bet._id.toString()));
+        const debits = await Transaction.find({ round: round._id, type: 'bet' });
+        const audits = [];
+
+        for (const debit of debits) {
+            const betId = debit.idempotencyKey?.slice('bet:'.length);
+            if (!betId || betIds.has(betId)) {
+                continue;
+            }
+
+            // A rejected bet is refunded on the spot
+            const refundKey = `refund:${betId}`;
+            if (await Transaction.exists({ player: debit.player, idempotencyKey: refundKey })) {
+                continue;
+            }
+
+            const refund = await walletService.record(debit.player, {
+                type: 'refund',
+                currency: debit.currency,
+                amount: -debit.amount,
+                round,
+                description: `Refund of bet interrupted before it joined round ${round.roundNumber}`,
+                idempotencyKey: refundKey
+            });
+
+            audits.push(await this.writeAudit({
+                round: round._id,
+                roundNumber: round.roundNumber,
+                roundStatus: round.status,
+                bet: betId,
+                sessionId: `player:${debit.player}`,
+                player: debit.player,
+                currency: debit.currency,
+                policy: 'refund',
+                resolution: 'refunded',
+                stakeUsd: debit.usdValue == null ? undefined : -debit.usdValue,
+                refundCrypto: -debit.amount,
+                refundUsd: debit.usdValue == null ? 0 : -debit.usdValue,
+                reason: 'Debit without a bet',
+                transactions: [refund._id]
+            }));
+        }
+
+        return audits;
+    }
+
+    // A rerun keeps the record written the first time
+    async writeAudit(audit) {
+        return RecoveryAudit.findOneAndUpdate(
+            { round: audit.round, bet: audit.bet },
+            { $setOnInsert: audit },
+            { upsert: true, new: true }
+        );
+    }
+
+    // Returns the recovery records the player has not been told about yet and marks them told
+    async takeNotices(playerId) {
+        const audits = await RecoveryAudit.find({ player: playerId, notifiedAt: null }).sort({ createdAt: 1 });
+        if (audits.length === 0) {
+            return [];
+        }
+
+        await RecoveryAudit.updateMany(
+            { _id: { $in: audits.map(audit => audit._id) } },
+            { $set: { notifiedAt: new Date() } }
+        );
+
+        return audits.map(audit => ({
+            roundNumber: audit.roundNumber,
+            betId: audit.bet.toString(),
+            resolution: audit.resolution,
+            currency: audit.currency,
+            stakeUsd: audit.stakeUsd,
+            paidOutUsd: audit.paidOutUsd,
+            refundCrypto: audit.refundCrypto,
+            refundUsd: audit.refundUsd,
+            lostUsd: audit.lostUsd,
+            reason: audit.reason,
+            recoveredAt: audit.createdAt
+        }));
+    }
+}
+
+export default new RecoveryService();
@@ -0,0 +1,89 @@
+import { EventEmitter } from 'node:events';
+
+// Phases a round moves through, and the phases each one may move on to. A round
+// that cannot be started is abandoned from betting straight back to waiting.
+const TRANSITIONS = {
+    waiting: ['betting'],
+    betting: ['active', 'waiting'],
+    active: ['crashed'],
+    crashed: ['settled'],
+    settled: ['waiting']
+};
+
+// Tracks the phase of the current round and owns the one timer that ends a
+// fixed-length phase. Every transition is emitted twice: as 'transition' and
+// under the name of the phase entered, both with { from, to, endsAt, ...context }.
+class RoundStateMachine extends EventEmitter {
+    constructor(durations = {}) {
+        super();
+        this.durations = durations;
+        this.phase = 'waiting';
+        this.phaseStartedAt = Date.now();
+        this.phaseEndsAt = null;
+        this.timer = null;
+    }
+
+    can(phase) {
+        return TRANSITIONS[this.phase].includes(phase);
+    }
+
+    transition(phase, context = {}) {
+        if (!TRANSITIONS[phase]) {
+            throw new Error(`Unknown round phase: ${phase}`);
+        }
+        if (!this.can(phase)) {
+            throw new Error(`Invalid round transition from ${this.phase} to ${phase}`);
+        }
+
+        const from = this.phase;
+        this.enter(phase);
+
+        const event = { from, to: phase, endsAt: this.phaseEndsAt, ...context };
+        this.emit('transition', event);
+        this.emit(phase, event);
+        return event;
+    }
+
+    // Puts the machine back in waiting without emitting, e.g. when the loop starts
+    reset() {
+        this.enter('waiting');
+    }
+
+    enter(phase) {
+        this.clearTimer();
+        this.phase = phase;
+        this.phaseStartedAt = Date.now();
+        const duration = this.durations[phase];
+        this.phaseEndsAt = duration == null ? null : this.phaseStartedAt + duration;
+    }
+
+    // Runs callback when the current fixed-length phase ends. The callback is dropped
+    // if the machine has moved on by then.
+    schedule(callback) {
+        if (this.phaseEndsAt === null) {
+            throw new Error(`The ${this.phase} phase has no fixed duration`);
+        }
+
+        const phase = this.phase;
+        this.clearTimer();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            if (this.phase === phase) {
+                callback();
+            }
+        }, Math.max(0, this.phaseEndsAt - Date.now()));
+    }
+
+    clearTimer() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    getTimeLeft() {
+        return this.phaseEndsAt === null ? 0 : Math.max(0, this.phaseEndsAt - Date.now());
+    }
+}
+
+export default RoundStateMachine;
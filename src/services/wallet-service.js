@@ -0,0 +1,366 @@
+import crypto from 'node:crypto';
+import mongoose from 'mongoose';
+import Player from '../api/models/player.model.js';
+import Transaction from '../api/models/transaction.model.js';
+import cryptoPriceService from './crypto-service.js';
+import walletConfig from '../config/wallet.js';
+import { GameError, ERROR_CODES } from './game-errors.js';
+import { runInTransaction, supportsTransactions } from '../config/database.js';
+
+const HOUSE_ACCOUNT = 'house';
+const EXTERNAL_ACCOUNT = 'external';
+const EXCHANGE_ACCOUNT = 'exchange';
+
+const roundAmount = (amount) => Math.round(amount * 1e8) / 1e8;
+
+class WalletService {
+    getPlayerAccount(playerId) {
+        return `player:${playerId}`;
+    }
+
+    // Positive amounts move coins from the counter account to the player,
+    // negative amounts move them from the player to the counter account.
+    getAccounts(playerId, type, amount) {
+        const playerAccount = this.getPlayerAccount(playerId);
+        const counterAccount = type === 'deposit'
+            ? EXTERNAL_ACCOUNT
+            : type === 'swap' ? EXCHANGE_ACCOUNT : HOUSE_ACCOUNT;
+
+        return amount >= 0
+            ? { debitAccount: counterAccount, creditAccount: playerAccount }
+            : { debitAccount: playerAccount, creditAccount: counterAccount };
+    }
+
+    createEmptyWallets() {
+        return Object.fromEntries(cryptoPriceService.supportedSymbols.map(symbol => [symbol, 0]));
+    }
+
+    // Splits the starting USD balance evenly across the supported coins.
+    getStartingAllocation(prices) {
+        const symbols = cryptoPriceService.supportedSymbols;
+        const usdPerCoin = walletConfig.startingBalanceUsd / symbols.length;
+
+        return Object.fromEntries(symbols.map(symbol => [symbol, usdPerCoin / prices[symbol]]));
+    }
+
+    async record(playerId, { type, currency, amount, priceAtTime = null, round = null, description = null, createdBy = null, reference = null, idempotencyKey = null }, { session = null } = {}) {
+        if (idempotencyKey) {
+            const existing = await Transaction.findOne({ player: playerId, idempotencyKey }).session(session);
+            if (existing) {
+                return existing;
+            }
+        }
+
+        const path = `wallets.${currency}`;
+        const filter = { _id: playerId };
+        if (amount < 0) {
+            filter[path] = { $gte: -amount };
+        }
+
+        const player = await Player.findOneAndUpdate(filter, { $inc: { [path]: amount } }, { new: true, session });
+
+        if (!player) {
+            const exists = await Player.exists({ _id: playerId }).session(session);
+            if (exists) {
+                throw new GameError(ERROR_CODES.INSUFFICIENT_BALANCE, `Insufficient ${currency} balance`);
+            }
+            throw new Error('Player not found');
+        }
+
+        const balanceAfter = player.wallets[currency];
+
+        try {
+            const [transaction] = await Transaction.create([{
+                player: player._id,
+                type,
+                currency,
+                amount,
+                usdValue: priceAtTime ? amount * priceAtTime : undefined,
+                priceAtTime,
+                ...this.getAccounts(player._id, type, amount),
+                balanceBefore: balanceAfter - amount,
+                balanceAfter,
+                round: round?._id,
+                roundNumber: round?.roundNumber,
+                reference,
+                idempotencyKey,
+                description,
+                createdBy
+            }], { session });
+
+            return transaction;
+        } catch (error) {
+            // Inside a transaction the balance change is rolled back with it. Outside one
+            // it was applied on its own and is reverted, so no balance moves without an entry.
+            if (session) {
+                throw error;
+            }
+            await Player.updateOne({ _id: playerId }, { $inc: { [path]: -amount } });
+
+            // A concurrent request wrote the same entry first
+            if (error.code === 11000 && idempotencyKey) {
+                const existing = await Transaction.findOne({ player: playerId, idempotencyKey });
+                if (existing) {
+                    return existing;
+                }
+            }
+            throw error;
+        }
+    }
+
+    async depositStartingBalance(playerId, { session = null } = {}) {
+        const prices = await cryptoPriceService.getCurrentPrices();
+        const allocation = this.getStartingAllocation(prices);
+        const transactions = [];
+
+        for (const [currency, amount] of Object.entries(allocation)) {
+            transactions.push(await this.record(playerId, {
+                type: 'deposit',
+                currency,
+                amount,
+                priceAtTime: prices[currency],
+                description: 'Starting balance'
+            }, { session }));
+        }
+
+        return transactions;
+    }
+
+    // Applies a balance movement to an in-memory game session. Account sessions go
+    // through the ledger and take their new balance from it; anonymous sessions are
+    // play money and only change in memory.
+    async applyToSession(session, entry, options = {}) {
+        const { currency, amount } = entry;
+
+        if (!session.playerId) {
+            if (session.wallets[currency] + amount < 0) {
+                throw new GameError(ERROR_CODES.INSUFFICIENT_BALANCE, `Insufficient ${currency} balance`);
+            }
+            session.wallets[currency] += amount;
+            return null;
+        }
+
+        const transaction = await this.record(session.playerId, entry, options);
+        session.wallets[currency] = transaction.balanceAfter;
+        return transaction;
+    }
+
+    // Reloads an account session's balances, e.g. after a rolled back transaction
+    // left the in-memory copy ahead of the database.
+    async refreshSession(session) {
+        if (!session.playerId) {
+            return;
+        }
+
+        const player = await Player.findById(session.playerId);
+        if (player) {
+            Object.assign(session.wallets, player.toObject().wallets);
+        }
+    }
+
+    async summarize(wallets) {
+        const prices = await cryptoPriceService.getCurrentPrices();
+        let totalUsd = 0;
+
+        const summary = Object.fromEntries(cryptoPriceService.supportedSymbols.map(symbol => {
+            const balance = wallets[symbol] || 0;
+            const usdValue = balance * prices[symbol];
+            totalUsd += usdValue;
+            return [symbol, { balance, price: prices[symbol], usdValue }];
+        }));
+
+        return {
+            wallets: summary,
+            totalUsd,
+            pricesAt: prices.timestamp
+        };
+    }
+
+    // Both legs are written in one transaction when the deployment supports them;
+    // otherwise a debit whose credit failed is returned to the player. A swap sent
+    // again with the same idempotency key returns the first one's entries.
+    async swap(playerId, fromCurrency, toCurrency, amount, { idempotencyKey = null } = {}) {
+        if (fromCurrency === toCurrency) {
+            throw new GameError(ERROR_CODES.INVALID_MESSAGE, 'Cannot swap a coin into itself');
+        }
+
+        if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+            throw new GameError(ERROR_CODES.INVALID_AMOUNT, 'Swap amount must be positive');
+        }
+
+        if (idempotencyKey) {
+            const previous = await this.findSwap(playerId, idempotencyKey);
+            if (previous) {
+                return previous;
+            }
+        }
+
+        const conversion = await cryptoPriceService.convertCrypto(amount, fromCurrency, toCurrency);
+        const reference = crypto.randomUUID();
+        const description = `Swap ${amount} ${fromCurrency} to ${toCurrency}`;
+
+        let debit = null;
+        let credit = null;
+        try {
+            await runInTransaction(async (session) => {
+                debit = null;
+                credit = null;
+                debit = await this.record(playerId, {
+                    type: 'swap',
+                    currency: fromCurrency,
+                    amount: -amount,
+                    priceAtTime: conversion.fromPrice,
+                    reference,
+                    description,
+                    idempotencyKey: idempotencyKey && `swap:${idempotencyKey}:debit`
+                }, { session });
+
+                credit = await this.record(playerId, {
+                    type: 'swap',
+                    currency: toCurrency,
+                    amount: conversion.toAmount,
+                    priceAtTime: conversion.toPrice,
+                    reference,
+                    description,
+                    idempotencyKey: idempotencyKey && `swap:${idempotencyKey}:credit`
+                }, { session });
+            });
+        } catch (error) {
+            if (debit && !(await supportsTransactions())) {
+                await this.refundSwapDebit(playerId, debit, error);
+            }
+
+            // Lost a race with the same swap sent concurrently
+            const previous = idempotencyKey && error.code === 11000 && await this.findSwap(playerId, idempotencyKey);
+            if (previous) {
+                return previous;
+            }
+            throw error;
+        }
+
+        // Without a transaction a concurrent duplicate may have written either leg first
+        if (debit.reference !== reference || credit.reference !== reference) {
+            return this.findSwap(playerId, idempotencyKey);
+        }
+
+        return { reference, conversion, debit, credit };
+    }
+
+    async findSwap(playerId, idempotencyKey) {
+        const [debit, credit] = await Promise.all([
+            Transaction.findOne({ player: playerId, idempotencyKey: `swap:${idempotencyKey}:debit` }),
+            Transaction.findOne({ player: playerId, idempotencyKey: `swap:${idempotencyKey}:credit` })
+        ]);
+        if (!debit || !credit) {
+            return null;
+        }
+
+        return {
+            reference: debit.reference,
+            conversion: {
+                fromAmount: -debit.amount,
+                toAmount: credit.amount,
+                usdAmount: -debit.amount * debit.priceAtTime,
+                fromPrice: debit.priceAtTime,
+                toPrice: credit.priceAtTime
+            },
+            debit,
+            credit,
+            duplicate: true
+        };
+    }
+
+    async refundSwapDebit(playerId, debit, error) {
+        try {
+            await this.record(playerId, {
+                type: 'refund',
+                currency: debit.currency,
+                amount: -debit.amount,
+                priceAtTime: debit.priceAtTime,
+                reference: debit.reference,
+                description: `Swap failed: ${error.message}`,
+                idempotencyKey: `refund:${debit._id}`
+            });
+        } catch (refundError) {
+            console.error(`Failed to refund swap ${debit.reference}:`, refundError);
+        }
+    }
+
+    async getTransactions(playerId, { page = 1, limit = 20, type = null, currency = null } = {}) {
+        const filter = { player: playerId };
+        if (type) {
+            filter.type = type;
+        }
+        if (currency) {
+            filter.currency = currency;
+        }
+
+        const [items, total] = await Promise.all([
+            Transaction.find(filter)
+                .sort({ createdAt: -1, _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Transaction.countDocuments(filter)
+        ]);
+
+        return {
+            items,
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+        };
+    }
+
+    async getLedgerBalances(playerId) {
+        const results = await Transaction.aggregate([
+            { $match: { player: new mongoose.Types.ObjectId(playerId) } },
+            { $group: { _id: '$currency', balance: { $sum: '$amount' }, count: { $sum: 1 } } }
+        ]);
+
+        return Object.fromEntries(results.map(result => [result._id, { balance: result.balance, count: result.count }]));
+    }
+
+    async reconcile(playerId, { repair = false } = {}) {
+        const player = await Player.findById(playerId);
+        if (!player) {
+            throw new Error('Player not found');
+        }
+
+        const ledger = await this.getLedgerBalances(playerId);
+        const currencies = {};
+        let consistent = true;
+
+        for (const currency of cryptoPriceService.supportedSymbols) {
+            const storedBalance = player.wallets[currency] || 0;
+            const ledgerBalance = ledger[currency]?.balance || 0;
+            const difference = roundAmount(storedBalance - ledgerBalance);
+
+            consistent = consistent && difference === 0;
+            currencies[currency] = {
+                storedBalance,
+                ledgerBalance,
+                transactionCount: ledger[currency]?.count || 0,
+                difference
+            };
+
+            if (difference !== 0 && repair) {
+                player.wallets[currency] = ledgerBalance;
+            }
+        }
+
+        const repaired = !consistent && repair;
+        if (repaired) {
+            await player.save();
+        }
+
+        return {
+            playerId: player._id,
+            currencies,
+            consistent,
+            repaired
+        };
+    }
+}
+
+export default new WalletService();
@@ -0,0 +1,12 @@
+// Counts one hit against the fixed window stored in `windows` under `key`. Returns 0 when
+// the hit is allowed, otherwise the milliseconds left until the window starts over.
+export const hitFixedWindow = (windows, key, { windowMs, max }, now = Date.now()) => {
+    let window = windows.get(key);
+    if (!window || now - window.startedAt >= windowMs) {
+        window = { startedAt: now, count: 0 };
+        windows.set(key, window);
+    }
+
+    window.count++;
+    return window.count > max ? window.startedAt + windowMs - now : 0;
+};
@@ -0,0 +1,82 @@
+// Validates values against the subset of JSON Schema the WebSocket protocol uses:
+// type, enum, properties, required, additionalProperties, minimum, maximum,
+// exclusiveMinimum, minLength, maxLength and pattern. Returns a list of problems,
+// each naming the offending path; an empty list means the value is valid.
+
+const typeOf = (value) => {
+    if (value === null) {
+        return 'null';
+    }
+    if (Array.isArray(value)) {
+        return 'array';
+    }
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    if (type === 'integer') {
+        return Number.isInteger(value);
+    }
+    if (type === 'number') {
+        return typeof value === 'number' && Number.isFinite(value);
+    }
+    return typeOf(value) === type;
+};
+
+export const validateSchema = (schema, value, path = 'data') => {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${path} must be ${types.join(' or ')}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum != null && value < schema.minimum) {
+            errors.push(`${path} must be at least ${schema.minimum}`);
+        }
+        if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+            errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+        }
+        if (schema.maximum != null && value > schema.maximum) {
+            errors.push(`${path} must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength != null && value.length < schema.minLength) {
+            errors.push(`${path} must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength != null && value.length > schema.maxLength) {
+            errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path} has an invalid format`);
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push(`${path}.${key} is required`);
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (Object.hasOwn(properties, key)) {
+                errors.push(...validateSchema(properties[key], propertyValue, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        }
+    }
+
+    return errors;
+};
@@ -0,0 +1,21 @@
+// Pure multiplier curve shared by the engine and clients. The multiplier is a function
+// of time since the round started and nothing else, so any two parties that agree on
+// the start time and growth rate agree on the multiplier at every instant.
+
+export const DEFAULT_GROWTH_RATE = 0.08;
+
+// Multiplier after elapsedMs milliseconds: e^(growthRate * seconds)
+export const multiplierAt = (elapsedMs, growthRate = DEFAULT_GROWTH_RATE) => {
+    if (elapsedMs <= 0) {
+        return 1;
+    }
+    return Math.exp(growthRate * elapsedMs / 1000);
+};
+
+// Milliseconds after the start at which the curve reaches multiplier
+export const timeToReach = (multiplier, growthRate = DEFAULT_GROWTH_RATE) => {
+    if (multiplier <= 1) {
+        return 0;
+    }
+    return Math.log(multiplier) / growthRate * 1000;
+};
@@ -0,0 +1,138 @@
+import crypto from 'node:crypto';
+
+// Pure crash point math shared by the game engine and by anyone verifying a round
+// offline. Nothing in here touches the database or engine state.
+
+export const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+export const buildClientSeed = (publicSalt, contributedSeeds = []) => {
+    return [publicSalt, ...contributedSeeds].join(':');
+};
+
+export const computeRoundHmac = (serverSeed, clientSeed, nonce) => {
+    return crypto.createHmac('sha256', serverSeed)
+        .update(`${clientSeed}:${nonce}`)
+        .digest('hex');
+};
+
+export const DEFAULT_CRASH_PARAMS = Object.freeze({
+    houseEdge: 1,
+    instantBustChance: 0,
+    maxMultiplier: 1000
+});
+
+const TWO_POW_52 = Math.pow(2, 52);
+
+const resolveCrashParams = (params = {}) => {
+    const resolved = { ...DEFAULT_CRASH_PARAMS };
+    for (const key of Object.keys(DEFAULT_CRASH_PARAMS)) {
+        if (params[key] != null) {
+            resolved[key] = params[key];
+        }
+    }
+    return resolved;
+};
+
+/**
+ * Maps an HMAC onto a crash point using `(100 - houseEdge) / (1 - X)`, where X is
+ * the first 52 bits of the HMAC as a fraction in [0, 1). That gives
+ * P(crash >= m) = (1 - houseEdge / 100) / m for every m up to maxMultiplier.
+ * The next 52 bits decide the optional instant bust so it does not bias X.
+ */
+export const crashPointFromHmac = (hmac, params = {}) => {
+    const { houseEdge, instantBustChance, maxMultiplier } = resolveCrashParams(params);
+
+    if (instantBustChance > 0) {
+        const bustRoll = parseInt(hmac.substring(13, 26), 16) / TWO_POW_52;
+        if (bustRoll < instantBustChance / 100) {
+            return 1;
+        }
+    }
+
+    const x = parseInt(hmac.substring(0, 13), 16) / TWO_POW_52;
+    const crashPoint = Math.floor((100 - houseEdge) / (1 - x)) / 100;
+
+    return Math.min(maxMultiplier, Math.max(1, crashPoint));
+};
+
+// Share of every stake a player gets back on average, whatever target they cash out at.
+export const expectedReturnToPlayer = (params = {}) => {
+    const { houseEdge, instantBustChance } = resolveCrashParams(params);
+    return (1 - houseEdge / 100) * (1 - instantBustChance / 100);
+};
+
+export const calculateCrashPoint = (serverSeed, clientSeed, nonce, params = {}) => {
+    const hmac = computeRoundHmac(serverSeed, clientSeed, nonce);
+    return {
+        hmac,
+        crashPoint: crashPointFromHmac(hmac, params)
+    };
+};
+
+/**
+ * Plays `rounds` rounds with nonces 0..rounds-1 and measures what a player cashing
+ * out at each target gets back. Every round pays the target or nothing, so each
+ * estimate comes with its standard error. The same seeds always give the same result.
+ */
+export const simulateReturnToPlayer = (serverSeed, clientSeed, { rounds, targets, params = {} }) => {
+    const wins = targets.map(() => 0);
+    let instantBusts = 0;
+
+    for (let nonce = 0; nonce < rounds; nonce++) {
+        const { crashPoint } = calculateCrashPoint(serverSeed, clientSeed, nonce, params);
+        if (crashPoint === 1) {
+            instantBusts++;
+        }
+        targets.forEach((target, index) => {
+            if (crashPoint >= target) {
+                wins[index]++;
+            }
+        });
+    }
+
+    return {
+        instantBustRate: instantBusts / rounds,
+        targets: targets.map((target, index) => {
+            const winRate = wins[index] / rounds;
+            return {
+                target,
+                winRate,
+                rtp: winRate * target,
+                standardError: target * Math.sqrt(winRate * (1 - winRate) / rounds)
+            };
+        })
+    };
+};
+
+/**
+ * Recomputes a round from its revealed inputs. The nonce defaults to the round
+ * number, which is what the engine uses, and `params` are the crash parameters
+ * stored on the round. `hash` and `crashPoint` are the values published by the
+ * server; when given, they are checked against the seed.
+ */
+export const verifyCrashPoint = (seed, roundNumber, { clientSeed, nonce = roundNumber, params = {}, hash, crashPoint } = {}) => {
+    const computed = calculateCrashPoint(seed, clientSeed, nonce, params);
+    const computedHash = sha256(seed);
+
+    const hashMatches = hash === undefined ? null : computedHash === hash;
+    const crashPointMatches = crashPoint === undefined ? null : computed.crashPoint === crashPoint;
+
+    return {
+        roundNumber,
+        seed,
+        clientSeed,
+        nonce,
+        params: resolveCrashParams(params),
+        hash: computedHash,
+        hmac: computed.hmac,
+        crashPoint: computed.crashPoint,
+        hashMatches,
+        crashPointMatches,
+        valid: hashMatches !== false && crashPointMatches !== false
+    };
+};
+
+// A revealed seed is linked to the previous round when it hashes into that round's seed.
+export const verifyChainLink = (seed, previousSeedOrTerminalHash) => {
+    return sha256(seed) === previousSeedOrTerminalHash;
+};
@@ -1,12 +1,30 @@
 import { WebSocketServer } from 'ws';
 import gameEngine from '../services/game-engine.js';
 import crypto from 'node:crypto';
+import authService from '../services/auth-service.js';
+import autoBetService from '../services/auto-bet-service.js';
+import recoveryService from '../services/recovery-service.js';
+import leaderboardService from '../services/leaderboard-service.js';
+import chatService from '../services/chat-service.js';
+import { GAME_EVENTS } from '../services/game-events.js';
+import websocketConfig from '../config/websocket.js';
+import { GameError, ERROR_CODES, getErrorCode } from '../services/game-errors.js';
+import { PROTOCOL_VERSION, parseClientMessage } from './protocol.js';
+import { encodeTickFrame } from './tick-frame.js';
+import { hitFixedWindow } from '../utils/fixed-window.js';
 
 class GameWebSocket {
     constructor() {
         this.wss = null;
         this.clients = new Map(); 
-        this.crashProcessed = false; // Flag to prevent multiple crash processing
+        this.cleanupTimer = null;
+        this.heartbeatTimer = null;
+        // client address -> open sockets
+        this.connectionsByIp = new Map();
+        // resume token -> { sessionId, playerId, role, expiresAt, lastEventId }
+        this.resumeTokens = new Map();
+        // sessionId -> { lastEventId, events } of recent messages sent to the session
+        this.sessionEvents = new Map();
     }
 
     initialize(server) {
@@ -14,26 +32,50 @@ class GameWebSocket {
             server,
             // Render-specific optimizations
             perMessageDeflate: false, // Disable compression for better performance on Render
-            maxPayload: 1024 * 1024 // 1MB max payload
+            maxPayload: 1024 * 1024, // 1MB max payload
+            verifyClient: (info, done) => this.verifyClient(info, done)
         });
 
         this.wss.on('connection', (ws, req) => {
-            console.log('New WebSocket connection from:', req.socket.remoteAddress);
+            const ip = this.getClientIp(req);
+            console.log('New WebSocket connection from:', ip);
 
-            const sessionId = crypto.randomUUID();
+            const clientInfo = {
+                sessionId: crypto.randomUUID(),
+                playerId: null,
+                role: null,
+                connectedAt: new Date(),
+                tickFormat: 'json',
+                congestedSince: null,
+                isAlive: true,
+                rateLimits: new Map()
+            };
 
-            this.clients.set(ws, { sessionId, connectedAt: new Date() });
+            this.clients.set(ws, clientInfo);
 
-            ws.on('message', async (message) => {
+            ws.on('pong', () => {
+                clientInfo.isAlive = true;
+            });
+
+            ws.on('message', async (raw) => {
+                // Taken before waiting for authentication, which may still be loading the player
+                const receivedAt = Date.now();
+                let message;
                 try {
-                    const data = JSON.parse(message);
-                    await this.handleMessage(ws, data);
+                    message = JSON.parse(raw);
                 } catch (error) {
-                    console.error('WebSocket message error:', error);
-                    ws.send(JSON.stringify({ 
-                        type: 'error', 
-                        message: 'Invalid message format' 
-                    }));
+                    this.sendError(ws, null, new GameError(ERROR_CODES.INVALID_JSON, 'Message is not valid JSON'));
+                    return;
+                }
+
+                try {
+                    await clientInfo.ready;
+                    await this.handleMessage(ws, message, { receivedAt });
+                } catch (error) {
+                    if (!(error instanceof GameError)) {
+                        console.error('WebSocket message error:', error);
+                    }
+                    this.sendError(ws, this.getRequestId(message), error);
                 }
             });
 
@@ -41,339 +83,748 @@ class GameWebSocket {
                 const clientInfo = this.clients.get(ws);
                 if (clientInfo) {
                     this.clients.delete(ws);
+                    this.releaseResumeToken(clientInfo);
                 }
             });
 
             ws.on('error', (error) => {
                 console.error('WebSocket error:', error);
             });
-            const gameState = gameEngine.getCurrentGameState();
-            ws.send(JSON.stringify({
-                type: 'connected',
-                data: {
-                    sessionId,
-                    gameState,
-                    balance: 1000 
-                }
-            }));
+
+            clientInfo.ready = this.authenticateClient(ws, clientInfo, this.getConnectionToken(req))
+                .then(async () => {
+                    const session = gameEngine.getSession(clientInfo.sessionId);
+                    const wallet = await gameEngine.getWalletSummary(clientInfo.sessionId);
+                    // Closed while authenticating: there is no one to give a resume token to
+                    if (!this.clients.has(ws)) {
+                        return;
+                    }
+
+                    const gameState = gameEngine.getCurrentGameState();
+                    ws.send(JSON.stringify({
+                        type: 'connected',
+                        data: {
+                            protocolVersion: PROTOCOL_VERSION,
+                            sessionId: clientInfo.sessionId,
+                            resumeToken: this.issueResumeToken(clientInfo),
+                            lastEventId: this.getLastEventId(clientInfo.sessionId),
+                            authenticated: Boolean(clientInfo.playerId),
+                            playerName: session.playerName,
+                            gameState,
+                            fairness: gameEngine.getFairnessInfo(),
+                            balance: wallet.totalUsd,
+                            wallets: wallet.wallets
+                        }
+                    }));
+                    this.sendChatHistory(ws, clientInfo);
+                    await this.sendRecoveryNotices(ws, clientInfo);
+                });
+        });
+
+        autoBetService.on('status', (sessionId, status) => {
+            this.sendToSession(sessionId, {
+                type: 'auto_bet_status',
+                data: status
+            });
+        });
+
+        leaderboardService.on('update', (boards) => {
+            this.broadcast({
+                type: 'leaderboard_update',
+                data: boards
+            });
+        });
+
+        chatService.on('message', (message) => {
+            this.broadcast({
+                type: 'chat_message',
+                data: message
+            });
+        });
+
+        chatService.on('mute', (sessionId, mute) => {
+            this.sendToSession(sessionId, {
+                type: 'chat_muted',
+                data: mute
+            });
         });
 
-        this.startGameLoop();
+        chatService.on('unmute', (sessionId) => {
+            this.sendToSession(sessionId, {
+                type: 'chat_unmuted',
+                data: {}
+            });
+        });
+
+        this.subscribeToEngine();
         this.startCleanup();
+        this.startHeartbeat();
+    }
+
+    getClientIp(req) {
+        const hops = websocketConfig.trustedProxyHops;
+        const forwardedFor = req.headers['x-forwarded-for'];
+        if (hops > 0 && forwardedFor) {
+            const addresses = forwardedFor.split(',').map(address => address.trim());
+            return addresses[Math.max(0, addresses.length - hops)];
+        }
+        return req.socket.remoteAddress;
+    }
+
+    // Refuses the upgrade once an address holds maxConnectionsPerIp sockets
+    verifyClient({ req }, done) {
+        const ip = this.getClientIp(req);
+        if ((this.connectionsByIp.get(ip) || 0) >= websocketConfig.maxConnectionsPerIp) {
+            console.warn(`🚫 Refused WebSocket connection from ${ip}: connection limit reached`);
+            done(false, 429, 'Too many connections');
+            return;
+        }
+
+        // The slot is taken before the upgrade completes, so a burst of handshakes cannot
+        // all pass the check, and freed with the TCP socket whether or not it upgraded
+        this.connectionsByIp.set(ip, (this.connectionsByIp.get(ip) || 0) + 1);
+        req.socket.once('close', () => this.releaseConnection(ip));
+        done(true);
+    }
+
+    releaseConnection(ip) {
+        const remaining = (this.connectionsByIp.get(ip) || 1) - 1;
+        if (remaining > 0) {
+            this.connectionsByIp.set(ip, remaining);
+        } else {
+            this.connectionsByIp.delete(ip);
+        }
     }
 
-    async handleMessage(ws, message) {
-        const { type, data } = message;
+    // A peer that vanished without closing (a half-open TCP connection) never causes a
+    // 'close', so every socket must answer each ping before the next one is sent
+    startHeartbeat() {
+        this.heartbeatTimer = setInterval(() => {
+            for (const [ws, clientInfo] of this.clients.entries()) {
+                if (!clientInfo.isAlive) {
+                    console.warn(`💀 Terminating unresponsive WebSocket client ${clientInfo.sessionId}`);
+                    ws.terminate();
+                    continue;
+                }
+
+                clientInfo.isAlive = false;
+                ws.ping();
+            }
+        }, websocketConfig.heartbeatIntervalMs);
+    }
+
+    // Fixed window per connection and message type. Types without a limit always pass.
+    checkRateLimit(clientInfo, type) {
+        const { windowMs, maxMessages } = websocketConfig.rateLimit;
+        if (!Object.hasOwn(maxMessages, type)) {
+            return;
+        }
+
+        const retryAfterMs = hitFixedWindow(clientInfo.rateLimits, type, { windowMs, max: maxMessages[type] });
+        if (retryAfterMs > 0) {
+            throw new GameError(ERROR_CODES.RATE_LIMITED, `Too many ${type} messages, at most ${maxMessages[type]} per ${windowMs}ms`, { retryAfterMs });
+        }
+    }
+
+    getConnectionToken(req) {
+        const url = new URL(req.url, 'http://localhost');
+        const queryToken = url.searchParams.get('token');
+        if (queryToken) {
+            return queryToken;
+        }
+
+        const [scheme, token] = (req.headers.authorization || '').split(' ');
+        return scheme === 'Bearer' && token ? token : null;
+    }
+
+    // Binds the socket to the account's session when a valid JWT is given.
+    // Connections without a token keep their anonymous session.
+    async authenticateClient(ws, clientInfo, token, requestId = null) {
+        if (!token) {
+            return false;
+        }
+
+        try {
+            const player = await authService.getPlayerFromToken(token);
+            const session = gameEngine.attachPlayer(player);
+
+            clientInfo.sessionId = session.sessionId;
+            clientInfo.playerId = session.playerId;
+            clientInfo.role = player.role;
+            return true;
+        } catch (error) {
+            this.sendError(ws, requestId, error);
+            return false;
+        }
+    }
+
+    getRequestId(message) {
+        const requestId = message?.requestId;
+        return typeof requestId === 'string' || Number.isInteger(requestId) ? requestId : null;
+    }
+
+    // Replies to a client message, echoing its requestId
+    reply(ws, requestId, message) {
+        this.sendFrame(ws, JSON.stringify(requestId == null ? message : { ...message, requestId }));
+    }
+
+    // Sends an already serialized frame. A client this far behind would only fall
+    // further behind, so it is cut off rather than buffered without limit.
+    sendFrame(ws, payload) {
+        if (ws.readyState !== 1) {
+            return false;
+        }
+
+        if (ws.bufferedAmount > websocketConfig.backpressure.maxBufferedBytes) {
+            this.disconnectSlowClient(ws, `${ws.bufferedAmount} bytes queued`);
+            return false;
+        }
+
+        ws.send(payload);
+        return true;
+    }
+
+    // terminate() rather than close(): a close frame would queue behind the backlog.
+    // The session's resume token stays valid, so the client can come back and catch up.
+    disconnectSlowClient(ws, reason) {
+        console.warn(`🐢 Disconnecting slow WebSocket client ${this.clients.get(ws)?.sessionId}: ${reason}`);
+        ws.terminate();
+    }
+
+    sendError(ws, requestId, error) {
+        this.reply(ws, requestId, {
+            type: 'error',
+            code: getErrorCode(error),
+            message: error.message,
+            ...(error.details ? { details: error.details } : {})
+        });
+    }
+
+    // Message failures are thrown and answered with an error by the caller
+    async handleMessage(ws, message, { receivedAt = Date.now() } = {}) {
+        const { type, requestId, data } = parseClientMessage(message);
         const clientInfo = this.clients.get(ws);
-        
+
         if (!clientInfo) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Session not found' }));
-            return;
+            throw new GameError(ERROR_CODES.SESSION_EXPIRED, 'Session not found');
         }
+        this.checkRateLimit(clientInfo, type);
 
         const { sessionId } = clientInfo;
+        await gameEngine.ensureSession(sessionId);
+        const reply = (replyType, payload) => this.reply(ws, requestId, { type: replyType, data: payload });
 
         switch (type) {
-            case 'set_player_name':
-                try {
-                    const { playerName } = data;
-                    const session = gameEngine.getSession(sessionId, playerName);
-                    
-                    ws.send(JSON.stringify({
-                        type: 'player_name_set',
-                        data: {
-                            sessionId,
-                            playerName: session.playerName,
-                            balance: session.balance
-                        }
-                    }));
-                } catch (error) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: error.message
-                    }));
+            case 'set_player_name': {
+                const session = gameEngine.getSession(sessionId, data.playerName);
+                const wallet = await gameEngine.getWalletSummary(sessionId);
+                reply('player_name_set', {
+                    sessionId,
+                    playerName: session.playerName,
+                    balance: wallet.totalUsd,
+                    wallets: wallet.wallets
+                });
+                break;
+            }
+
+            case 'authenticate': {
+                const authenticated = await this.authenticateClient(ws, clientInfo, data.token, requestId);
+                if (authenticated) {
+                    const session = gameEngine.getSession(clientInfo.sessionId);
+                    const wallet = await gameEngine.getWalletSummary(clientInfo.sessionId);
+                    reply('authenticated', {
+                        sessionId: session.sessionId,
+                        resumeToken: this.issueResumeToken(clientInfo),
+                        lastEventId: this.getLastEventId(session.sessionId),
+                        playerName: session.playerName,
+                        balance: wallet.totalUsd,
+                        wallets: wallet.wallets
+                    });
+                    await this.sendRecoveryNotices(ws, clientInfo);
                 }
                 break;
+            }
 
-            case 'place_bet':
-                try {
-                    const result = await gameEngine.placeBet(
-                        sessionId,
-                        data.usdAmount,
-                        data.cryptocurrency,
-                        data.playerName
-                    );
-                    
-                    ws.send(JSON.stringify({
-                        type: 'bet_placed',
-                        data: result
-                    }));
+            case 'resume_session':
+                await this.resumeSession(ws, clientInfo, data, requestId);
+                break;
 
-                    this.broadcast({
-                        type: 'player_bet',
-                        data: {
-                            playerName: gameEngine.getSession(sessionId).playerName,
-                            usdAmount: data.usdAmount,
-                            cryptocurrency: data.cryptocurrency,
-                            totalBets: gameEngine.getCurrentGameState().totalBets
-                        }
-                    }, ws);
-                } catch (error) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: error.message
-                    }));
-                }
+            case 'set_client_seed':
+                reply('client_seed_set', { clientSeed: gameEngine.setClientSeed(sessionId, data.clientSeed) });
                 break;
 
-            case 'cash_out':
-                try {
-                    const result = await gameEngine.cashOut(sessionId);
-                    
-                    ws.send(JSON.stringify({
-                        type: 'cash_out_success',
-                        data: result
-                    }));
+            case 'place_bet': {
+                const result = await gameEngine.placeBet(sessionId, data.usdAmount, data.cryptocurrency, {
+                    playerName: data.playerName,
+                    clientSeed: data.clientSeed,
+                    autoCashoutAt: data.autoCashoutAt,
+                    idempotencyKey: data.idempotencyKey
+                });
+                this.reply(ws, requestId, this.recordEvent(sessionId, { type: 'bet_placed', data: result }));
+                break;
+            }
 
-                    this.broadcast({
-                        type: 'player_cashout',
-                        data: {
-                            playerName: gameEngine.getSession(sessionId).playerName,
-                            multiplier: result.multiplier,
-                            winAmount: result.winAmount
-                        }
-                    }, ws);
-                } catch (error) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: error.message
-                    }));
-                }
+            case 'cash_out': {
+                const result = await gameEngine.cashOut(sessionId, {
+                    betId: data.betId,
+                    idempotencyKey: data.idempotencyKey,
+                    fraction: data.fraction,
+                    usdAmount: data.usdAmount,
+                    receivedAt
+                });
+                this.reply(ws, requestId, this.recordEvent(sessionId, { type: 'cash_out_success', data: result }));
+                break;
+            }
+
+            case 'get_wallet':
+                reply('wallet', await gameEngine.getWalletSummary(sessionId));
+                break;
+
+            case 'start_auto_bet':
+                reply('auto_bet_started', autoBetService.start(sessionId, data));
+                break;
+
+            case 'stop_auto_bet':
+                reply('auto_bet_stopped', autoBetService.stop(sessionId));
+                break;
+
+            case 'get_auto_bet_status':
+                reply('auto_bet_status', autoBetService.getStatus(sessionId));
                 break;
 
             case 'get_session_info':
-                try {
-                    const sessionInfo = gameEngine.getSessionInfo(sessionId);
-                    ws.send(JSON.stringify({
-                        type: 'session_info',
-                        data: sessionInfo
-                    }));
-                } catch (error) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: error.message
-                    }));
-                }
+                reply('session_info', gameEngine.getSessionInfo(sessionId));
                 break;
 
             case 'get_game_state':
-                try {
-                    const gameState = gameEngine.getCurrentGameState();
-                    ws.send(JSON.stringify({
-                        type: 'game_state',
-                        data: gameState
-                    }));
-                } catch (error) {
-                    ws.send(JSON.stringify({
-                        type: 'error',
-                        message: error.message
-                    }));
-                }
+                reply('game_state', gameEngine.getCurrentGameState());
+                break;
+
+            case 'set_tick_format':
+                clientInfo.tickFormat = data.format;
+                reply('tick_format_set', { format: data.format });
+                break;
+
+            case 'chat_message': {
+                const session = gameEngine.getSession(sessionId);
+                const message = await chatService.send({ sessionId, playerId: clientInfo.playerId, playerName: session.playerName }, data.text);
+                reply('chat_message_sent', { id: message.id });
+                break;
+            }
+
+            case 'mute_session':
+                reply('session_muted', await chatService.mute(clientInfo, data));
+                break;
+
+            case 'unmute_session':
+                await chatService.unmute(clientInfo, data);
+                reply('session_unmuted', {});
                 break;
         }
     }
 
-    broadcast(message, excludeWs = null) {
-        this.wss.clients.forEach(client => {
-            if (client !== excludeWs && client.readyState === 1) { 
-                client.send(JSON.stringify(message));
+    sendChatHistory(ws, clientInfo) {
+        ws.send(JSON.stringify({
+            type: 'chat_history',
+            data: {
+                messages: chatService.getHistory(),
+                mute: chatService.getMute(clientInfo.sessionId)
             }
+        }));
+    }
+
+    isSessionConnected(sessionId) {
+        for (const clientInfo of this.clients.values()) {
+            if (clientInfo.sessionId === sessionId) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    sendToSession(sessionId, message) {
+        const payload = JSON.stringify(this.recordEvent(sessionId, message));
+        for (const [ws, clientInfo] of this.clients.entries()) {
+            if (clientInfo.sessionId === sessionId) {
+                this.sendFrame(ws, payload);
+            }
+        }
+    }
+
+    // Numbers a message for the session and keeps it for replay. A dropped connection may
+    // not be noticed until well after messages were written to it, so everything sent to
+    // a session is kept, not only what was sent while it had no socket.
+    recordEvent(sessionId, message) {
+        let log = this.sessionEvents.get(sessionId);
+        if (!log) {
+            log = { lastEventId: 0, events: [] };
+            this.sessionEvents.set(sessionId, log);
+        }
+
+        const event = { ...message, eventId: ++log.lastEventId };
+        log.events.push({ event, sentAt: Date.now() });
+        if (log.events.length > websocketConfig.resume.bufferSize) {
+            log.events.shift();
+        }
+        return event;
+    }
+
+    getLastEventId(sessionId) {
+        return this.sessionEvents.get(sessionId)?.lastEventId || 0;
+    }
+
+    // Each socket gets its own token, replaced whenever the socket changes session
+    issueResumeToken(clientInfo) {
+        this.deleteResumeToken(clientInfo.resumeToken);
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        this.resumeTokens.set(token, {
+            sessionId: clientInfo.sessionId,
+            playerId: clientInfo.playerId,
+            role: clientInfo.role,
+            expiresAt: null,
+            expiryTimer: null,
+            lastEventId: null
         });
+        clientInfo.resumeToken = token;
+        return token;
+    }
+
+    deleteResumeToken(token) {
+        clearTimeout(this.resumeTokens.get(token)?.expiryTimer);
+        this.resumeTokens.delete(token);
     }
 
-    startGameLoop() {
-        console.log('🎮 Starting game loop...');
-        
-        setTimeout(async () => {
-            try {
-                await gameEngine.createNewRound();
-                console.log('✅ First round created');
-                this.broadcastGameState();
-            } catch (error) {
-                console.error('❌ Failed to create first round:', error);
+    // The token outlives its socket for the resume window
+    releaseResumeToken(clientInfo) {
+        const token = clientInfo.resumeToken;
+        const entry = this.resumeTokens.get(token);
+        if (entry) {
+            entry.expiresAt = Date.now() + websocketConfig.resume.tokenTtlMs;
+            entry.lastEventId = this.getLastEventId(entry.sessionId);
+            entry.expiryTimer = setTimeout(() => this.expireResumeToken(token), websocketConfig.resume.tokenTtlMs);
+            entry.expiryTimer.unref();
+        }
+    }
+
+    // Once the resume window has passed without a resume, nothing can reach the
+    // session again unless another socket is still on it
+    expireResumeToken(token) {
+        const entry = this.resumeTokens.get(token);
+        this.resumeTokens.delete(token);
+        if (entry && !this.isSessionConnected(entry.sessionId)) {
+            autoBetService.handleSessionExpired(entry.sessionId);
+        }
+    }
+
+    // Moves this socket onto the session a previous socket was using and replays the
+    // session's messages the client has not seen: those after the client's lastEventId,
+    // or after the last one sent before the old socket closed.
+    async resumeSession(ws, clientInfo, data, requestId = null) {
+        const entry = this.resumeTokens.get(data.resumeToken);
+        if (!entry || (entry.expiresAt && entry.expiresAt < Date.now())) {
+            throw new GameError(ERROR_CODES.RESUME_FAILED, 'Resume token is invalid or expired');
+        }
+
+        if (!gameEngine.isPlayerSessionId(entry.sessionId) && !gameEngine.sessions.has(entry.sessionId)) {
+            this.expireResumeToken(data.resumeToken);
+            throw new GameError(ERROR_CODES.SESSION_EXPIRED, 'Session has expired');
+        }
+
+        this.deleteResumeToken(data.resumeToken);
+        clientInfo.sessionId = entry.sessionId;
+        clientInfo.playerId = entry.playerId;
+        clientInfo.role = entry.role;
+
+        const session = await gameEngine.ensureSession(entry.sessionId);
+        const wallet = await gameEngine.getWalletSummary(entry.sessionId);
+        const gameState = gameEngine.getCurrentGameState();
+        const activeBets = gameEngine.getRoundState().activeBets
+            .filter(bet => bet.sessionId === entry.sessionId)
+            .map(bet => gameEngine.toPublicBet(bet));
+
+        const seen = Number.isInteger(data.lastEventId) ? data.lastEventId : entry.lastEventId ?? this.getLastEventId(entry.sessionId);
+        const missed = (this.sessionEvents.get(entry.sessionId)?.events || [])
+            .filter(({ event }) => event.eventId > seen)
+            .map(({ event }) => event);
+
+        this.reply(ws, requestId, {
+            type: 'session_resumed',
+            data: {
+                sessionId: entry.sessionId,
+                resumeToken: this.issueResumeToken(clientInfo),
+                authenticated: Boolean(entry.playerId),
+                playerName: session.playerName,
+                phase: gameState.status,
+                gameState,
+                activeBets,
+                balance: wallet.totalUsd,
+                wallets: wallet.wallets,
+                lastEventId: this.getLastEventId(entry.sessionId),
+                replayed: missed.length
             }
-        }, 2000);
+        });
 
-        setInterval(async () => {
-            try {
-                const currentState = gameEngine.gameState;
-                console.log(`🎯 Game loop tick - Current state: ${currentState}`);
+        for (const event of missed) {
+            this.sendFrame(ws, JSON.stringify({ ...event, replayed: true }));
+        }
+    }
 
-                if (currentState === 'waiting' || currentState === 'betting') {
-                    if (!gameEngine.currentRound || currentState === 'waiting') {
-                        await gameEngine.createNewRound();
-                        console.log('🆕 New round created, betting phase started');
-                    }
-                    
-                    this.broadcast({
-                        type: 'game_state_update',
-                        data: {
-                            phase: 'waiting',
-                            multiplier: 1.00,
-                            timeLeft: 5,
-                            currentRound: gameEngine.currentRound.roundNumber
-                        }
-                    });
+    // Messages are serialized once per broadcast, not once per client
+    broadcast(message, excludeWs = null) {
+        const payload = JSON.stringify(message);
+        for (const client of this.wss.clients) {
+            if (client !== excludeWs) {
+                this.sendFrame(client, payload);
+            }
+        }
+    }
 
-                    // Start countdown for betting phase (5 seconds)
-                    let timeLeft = 5;
-                    const countdownInterval = setInterval(() => {
-                        timeLeft--;
-                        this.broadcast({
-                            type: 'game_state_update',
-                            data: {
-                                phase: 'waiting',
-                                multiplier: 1.00,
-                                timeLeft: timeLeft,
-                                currentRound: gameEngine.currentRound.roundNumber
-                            }
-                        });
-                        
-                        if (timeLeft <= 0) {
-                            clearInterval(countdownInterval);
-                        }
-                    }, 1000);
-
-                    // After 5 seconds, start the round
-                    setTimeout(async () => {
-                        if (gameEngine.gameState === 'betting') {
-                            console.log('🚀 Starting round');
-                            await gameEngine.startRound();
-                            
-                            this.broadcast({
-                                type: 'game_state_update',
-                                data: {
-                                    phase: 'playing',
-                                    multiplier: gameEngine.multiplier,
-                                    timeLeft: 0,
-                                    currentRound: gameEngine.currentRound.roundNumber
-                                }
-                            });
-                        }
-                    }, 5000);
+    // Broadcasts to everyone except the sockets of the session the message is about
+    broadcastToOthers(sessionId, message) {
+        const payload = JSON.stringify(message);
+        for (const [ws, clientInfo] of this.clients.entries()) {
+            if (clientInfo.sessionId !== sessionId) {
+                this.sendFrame(ws, payload);
+            }
+        }
+    }
+
+    // Ticks are the bulk of the traffic and each one supersedes the last, so a client
+    // with a backlog simply misses ticks until it has caught up; the next one it gets
+    // carries the current multiplier. A client that stays behind is disconnected.
+    broadcastTick(tick) {
+        const { tickDropBytes, stuckTimeoutMs } = websocketConfig.backpressure;
+        const now = Date.now();
+        let json = null;
+        let binary = null;
+
+        for (const [ws, clientInfo] of this.clients.entries()) {
+            if (ws.readyState !== 1) {
+                continue;
+            }
+
+            if (ws.bufferedAmount > tickDropBytes) {
+                clientInfo.congestedSince ??= now;
+                if (now - clientInfo.congestedSince > stuckTimeoutMs) {
+                    this.disconnectSlowClient(ws, `behind for ${now - clientInfo.congestedSince}ms`);
                 }
-            } catch (error) {
-                console.error('❌ Game loop error:', error);
+                continue;
             }
-        }, 15000); // 15 second total cycle
+            clientInfo.congestedSince = null;
 
-        // Broadcast multiplier updates every 100ms during active phase
-        setInterval(() => {
-            if (gameEngine.gameState === 'active') {
-                this.broadcast({
-                    type: 'game_state_update',
-                    data: {
-                        phase: 'playing',
-                        multiplier: gameEngine.multiplier,
-                        timeLeft: 0,
-                        currentRound: gameEngine.currentRound?.roundNumber || 0
-                    }
+            if (clientInfo.tickFormat === 'binary') {
+                binary ??= encodeTickFrame(tick, PROTOCOL_VERSION);
+                this.sendFrame(ws, binary);
+            } else {
+                json ??= JSON.stringify(this.formatTick(tick));
+                this.sendFrame(ws, json);
+            }
+        }
+    }
+
+    formatTick(tick) {
+        return {
+            type: 'game_state_update',
+            data: tick.phase === 'betting'
+                ? {
+                    phase: 'waiting',
+                    multiplier: 1.00,
+                    timeLeft: Math.ceil(tick.timeLeft / 1000),
+                    currentRound: tick.roundNumber,
+                    hash: tick.hash
+                }
+                : {
+                    phase: 'playing',
+                    multiplier: tick.multiplier,
+                    timeLeft: 0,
+                    currentRound: tick.roundNumber,
+                    startTime: tick.startTime,
+                    serverTime: tick.serverTime,
+                    curve: tick.curve
+                }
+        };
+    }
+
+    // The engine drives the rounds; the socket layer only relays its events
+    subscribeToEngine() {
+        gameEngine.on(GAME_EVENTS.ROUND_CREATED, ({ roundNumber }) => {
+            console.log(`🆕 Round ${roundNumber} created`);
+        });
+
+        gameEngine.on(GAME_EVENTS.BETTING_OPENED, ({ roundNumber, hash, endsAt }) => {
+            this.broadcast({
+                type: 'game_state_update',
+                data: {
+                    phase: 'waiting',
+                    multiplier: 1.00,
+                    timeLeft: Math.ceil((endsAt - Date.now()) / 1000),
+                    currentRound: roundNumber,
+                    hash
+                }
+            });
+        });
+
+        gameEngine.on(GAME_EVENTS.ROUND_STARTED, ({ roundNumber, startTime, serverTime, curve }) => {
+            console.log(`🚀 Round ${roundNumber} started`);
+            this.broadcast({
+                type: 'game_state_update',
+                data: {
+                    phase: 'playing',
+                    multiplier: 1.00,
+                    timeLeft: 0,
+                    currentRound: roundNumber,
+                    startTime,
+                    serverTime,
+                    curve
+                }
+            });
+        });
+
+        // Clients count down and render the curve themselves; ticks keep them in step
+        gameEngine.on(GAME_EVENTS.TICK, (tick) => this.broadcastTick(tick));
+
+        gameEngine.on(GAME_EVENTS.BET_PLACED, ({ sessionId, playerName, source, bet, totalBets, result }) => {
+            // Bets placed over this socket are confirmed by the request handler
+            if (source === 'auto') {
+                this.sendToSession(sessionId, {
+                    type: 'bet_placed',
+                    data: { ...result, auto: true }
                 });
             }
-        }, 100);
-
-        // Handle game crash detection and broadcast
-        setInterval(() => {
-            if (gameEngine.gameState === 'crashed' && !this.crashProcessed) {
-                console.log(`💥 Game crashed at ${gameEngine.multiplier.toFixed(2)}x`);
-                this.crashProcessed = true; // Mark crash as processed
-                
-                // Send bet_lost messages to players with active bets
-                this.sendBetLostMessages();
-                
-                this.broadcast({
-                    type: 'game_state_update',
-                    data: {
-                        phase: 'crashed',
-                        multiplier: gameEngine.multiplier,
-                        timeLeft: 0,
-                        currentRound: gameEngine.currentRound?.roundNumber || 0
-                    }
+
+            this.broadcastToOthers(sessionId, {
+                type: 'player_bet',
+                data: {
+                    playerName,
+                    betId: bet.betId,
+                    usdAmount: bet.usdAmount,
+                    cryptocurrency: bet.cryptocurrency,
+                    autoCashoutAt: bet.autoCashoutAt,
+                    totalBets
+                }
+            });
+        });
+
+        gameEngine.on(GAME_EVENTS.CASHED_OUT, ({ sessionId, playerName, betId, automatic, partial, multiplier, winAmount, result }) => {
+            if (automatic) {
+                this.sendToSession(sessionId, {
+                    type: 'cash_out_success',
+                    data: result
                 });
-                
-                // Reset to waiting state after 3 seconds
-                setTimeout(() => {
-                    if (gameEngine.gameState === 'crashed') {
-                        gameEngine.resetForNewRound();
-                        this.crashProcessed = false; // Reset flag for next round
-                        console.log('🔄 Game reset to waiting state');
-                    }
-                }, 3000);
             }
-        }, 500);
-    }
 
-    sendBetLostMessages() {
-        if (!gameEngine.currentRound || !gameEngine.currentRound.activeBets) {
-            return;
-        }
+            this.broadcastToOthers(sessionId, {
+                type: 'player_cashout',
+                data: {
+                    playerName,
+                    betId,
+                    multiplier,
+                    winAmount,
+                    partial,
+                    automatic
+                }
+            });
+        });
 
-        // Find all players with active bets that weren't cashed out
-        const uncastedBets = gameEngine.currentRound.activeBets.filter(bet => !bet.cashedOut);
-        
-        for (const bet of uncastedBets) {
-            // Find the WebSocket connection for this session
-            for (const [ws, clientInfo] of this.clients.entries()) {
-                if (clientInfo.sessionId === bet.sessionId) {
-                    ws.send(JSON.stringify({
-                        type: 'bet_lost',
-                        data: {
-                            roundNumber: gameEngine.currentRound.roundNumber,
-                            crashPoint: gameEngine.currentRound.crashPoint,
-                            betAmount: bet.usdAmount
-                        }
-                    }));
-                    break;
+        gameEngine.on(GAME_EVENTS.CRASHED, (crash) => {
+            console.log(`💥 Game crashed at ${crash.crashPoint.toFixed(2)}x`);
+            this.broadcast({
+                type: 'game_state_update',
+                data: {
+                    phase: 'crashed',
+                    multiplier: crash.crashPoint,
+                    timeLeft: 0,
+                    currentRound: crash.roundNumber,
+                    crashPoint: crash.crashPoint,
+                    hash: crash.hash,
+                    seed: crash.seed,
+                    clientSeed: crash.clientSeed,
+                    nonce: crash.nonce
                 }
-            }
+            });
+        });
+
+        gameEngine.on(GAME_EVENTS.SETTLED, (settled) => {
+            this.sendBetLostMessages(settled);
+        });
+    }
+
+    sendBetLostMessages({ roundNumber, crashPoint, bets }) {
+        for (const bet of bets.filter(entry => entry.lostUsdAmount > 0)) {
+            this.sendToSession(bet.sessionId, {
+                type: 'bet_lost',
+                data: {
+                    roundNumber,
+                    crashPoint,
+                    betId: bet.betId,
+                    betAmount: bet.lostUsdAmount
+                }
+            });
         }
     }
 
-    broadcastGameState() {
-        const gameState = gameEngine.getCurrentGameState();
-        let phase = 'waiting';
-        
-        switch (gameState.status) {
-            case 'betting':
-                phase = 'waiting';
-                break;
-            case 'active':
-                phase = 'playing';
-                break;
-            case 'crashed':
-                phase = 'crashed';
-                break;
-            default:
-                phase = 'waiting';
+    // Tells a player what happened to bets in rounds interrupted by a restart
+    async sendRecoveryNotices(ws, clientInfo) {
+        if (!clientInfo.playerId) {
+            return;
         }
-        
-        this.broadcast({
-            type: 'game_state_update',
-            data: {
-                phase: phase,
-                multiplier: gameEngine.multiplier,
-                timeLeft: phase === 'waiting' ? 5 : 0,
-                currentRound: gameState.roundNumber
+
+        try {
+            const notices = await recoveryService.takeNotices(clientInfo.playerId);
+            if (notices.length > 0) {
+                ws.send(JSON.stringify({ type: 'recovery_notice', data: { notices } }));
             }
-        });
+        } catch (error) {
+            console.error('❌ Failed to send recovery notices:', error);
+        }
     }
 
     startCleanup() {
         // Clean up old sessions every 30 minutes
-        setInterval(() => {
+        this.cleanupTimer = setInterval(() => {
             gameEngine.cleanupSessions();
+            autoBetService.cleanup();
+            chatService.cleanup();
+            this.cleanupResumeState();
         }, 30 * 60 * 1000);
     }
+
+    // Resume tokens expire on their own timers; this drops the replay buffers
+    cleanupResumeState() {
+        const now = Date.now();
+        const cutoff = now - websocketConfig.resume.tokenTtlMs;
+        for (const [sessionId, log] of this.sessionEvents.entries()) {
+            const lastSent = log.events[log.events.length - 1]?.sentAt || 0;
+            if (lastSent < cutoff && !this.isSessionConnected(sessionId)) {
+                this.sessionEvents.delete(sessionId);
+            }
+        }
+    }
+
+    // Tells every client the server is going away and when to come back, then
+    // closes the sockets with 1012 (service restart).
+    close({ reconnectDelayMs }) {
+        clearInterval(this.cleanupTimer);
+        clearInterval(this.heartbeatTimer);
+        this.cleanupTimer = null;
+        this.heartbeatTimer = null;
+
+        for (const ws of this.wss.clients) {
+            if (ws.readyState === 1) {
+                ws.send(JSON.stringify({
+                    type: 'server_shutdown',
+                    data: {
+                        reason: 'Server is restarting',
+                        reconnectAfterMs: reconnectDelayMs + Math.floor(Math.random() * reconnectDelayMs)
+                    }
+                }));
+            }
+            ws.close(1012, 'Server restarting');
+        }
+
+        return new Promise(resolve => this.wss.close(() => resolve()));
+    }
 }
 
 export default new GameWebSocket();
\ No newline at end of file
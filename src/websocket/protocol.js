@@ -0,0 +1,267 @@
+import provablyFairConfig from '../config/provably-fair.js';
+import chatConfig from '../config/chat.js';
+import { GameError, ERROR_CODES } from '../services/game-errors.js';
+import { validateSchema } from '../utils/json-schema.js';
+
+// The WebSocket protocol. Every client message is an envelope
+//   { v, type, requestId, data }
+// where `v` is the protocol version (optional, defaults to the current one), `type`
+// names one of CLIENT_MESSAGES and `data` must match its schema. A `requestId` is
+// echoed on the reply and on any error the message causes. docs/PROTOCOL.md is
+// generated from this file with `npm run docs:protocol`.
+export const PROTOCOL_VERSION = 1;
+
+const nullableNumber = (schema) => ({ ...schema, type: ['number', 'null'] });
+
+const EMPTY = { type: 'object', additionalProperties: false, properties: {} };
+
+// Either one names who a moderator acts on
+const MUTE_TARGET = {
+    messageId: { type: 'string', minLength: 1, description: 'A chat message by the player; one of messageId and sessionId is required' },
+    sessionId: { type: 'string', minLength: 1, description: 'The session, e.g. from the admin tools' }
+};
+
+export const ENVELOPE_SCHEMA = {
+    type: 'object',
+    required: ['type'],
+    additionalProperties: false,
+    properties: {
+        v: { type: 'integer', description: 'Protocol version the client speaks' },
+        type: { type: 'string', description: 'Message type' },
+        requestId: { type: ['string', 'integer'], maxLength: 64, description: 'Echoed on the reply and on errors' },
+        data: { type: 'object', description: 'Message payload' }
+    }
+};
+
+export const CLIENT_MESSAGES = {
+    authenticate: {
+        description: 'Log in on an already open socket. The socket moves to the account session.',
+        reply: 'authenticated',
+        schema: {
+            type: 'object',
+            required: ['token'],
+            additionalProperties: false,
+            properties: {
+                token: { type: 'string', minLength: 1, description: 'JWT from /api/auth/login' }
+            }
+        }
+    },
+    resume_session: {
+        description: 'Move a new socket onto the session a dropped socket was using and replay missed session messages.',
+        reply: 'session_resumed',
+        schema: {
+            type: 'object',
+            required: ['resumeToken'],
+            additionalProperties: false,
+            properties: {
+                resumeToken: { type: 'string', minLength: 1, description: 'Token from connected, authenticated or session_resumed' },
+                lastEventId: { type: 'integer', minimum: 0, description: 'Highest eventId received before the drop' }
+            }
+        }
+    },
+    set_player_name: {
+        description: 'Set the display name of an anonymous session.',
+        reply: 'player_name_set',
+        schema: {
+            type: 'object',
+            required: ['playerName'],
+            additionalProperties: false,
+            properties: {
+                playerName: { type: 'string', minLength: 1, maxLength: 32 }
+            }
+        }
+    },
+    set_client_seed: {
+        description: 'Contribute a client seed to the crash point of the rounds the session bets on.',
+        reply: 'client_seed_set',
+        schema: {
+            type: 'object',
+            required: ['clientSeed'],
+            additionalProperties: false,
+            properties: {
+                clientSeed: { type: 'string', minLength: 1, maxLength: provablyFairConfig.maxClientSeedLength }
+            }
+        }
+    },
+    place_bet: {
+        description: 'Bet a USD amount, paid in the chosen coin, on the round that is taking bets. Rate limited per connection.',
+        reply: 'bet_placed',
+        schema: {
+            type: 'object',
+            required: ['usdAmount', 'cryptocurrency'],
+            additionalProperties: false,
+            properties: {
+                usdAmount: { type: 'number', exclusiveMinimum: 0 },
+                cryptocurrency: { type: 'string', minLength: 1, description: 'Symbol or name, e.g. BTC or bitcoin' },
+                playerName: { type: 'string', minLength: 1, maxLength: 32 },
+                clientSeed: { type: 'string', minLength: 1, maxLength: provablyFairConfig.maxClientSeedLength },
+                autoCashoutAt: nullableNumber({ minimum: 1.01, description: 'Multiplier to cash out at automatically' }),
+                idempotencyKey: { type: 'string', minLength: 1, maxLength: 128, description: 'Reuse it when retrying' }
+            }
+        }
+    },
+    cash_out: {
+        description: 'Cash out all or part of an open bet at the current multiplier. Rate limited per connection.',
+        reply: 'cash_out_success',
+        schema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                betId: { type: 'string', minLength: 1, description: 'Required when the session has more than one open bet' },
+                idempotencyKey: { type: 'string', minLength: 1, maxLength: 128 },
+                fraction: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: 'Share of the remaining stake' },
+                usdAmount: { type: 'number', exclusiveMinimum: 0, description: 'USD of the remaining stake to cash out' }
+            }
+        }
+    },
+    get_wallet: {
+        description: 'Fetch the session wallets.',
+        reply: 'wallet',
+        schema: EMPTY
+    },
+    start_auto_bet: {
+        description: 'Start a server-side auto bet strategy that bets once per round.',
+        reply: 'auto_bet_started',
+        schema: {
+            type: 'object',
+            required: ['baseBet', 'cryptocurrency', 'autoCashoutAt'],
+            additionalProperties: false,
+            properties: {
+                baseBet: { type: 'number', exclusiveMinimum: 0 },
+                cryptocurrency: { type: 'string', minLength: 1 },
+                autoCashoutAt: { type: 'number', minimum: 1.01 },
+                rounds: { type: ['integer', 'null'], minimum: 1 },
+                onWinMultiplier: nullableNumber({ exclusiveMinimum: 0 }),
+                onLossMultiplier: nullableNumber({ exclusiveMinimum: 0 }),
+                stopLoss: nullableNumber({ exclusiveMinimum: 0 }),
+                takeProfit: nullableNumber({ exclusiveMinimum: 0 }),
+                maxBet: nullableNumber({ exclusiveMinimum: 0 })
+            }
+        }
+    },
+    stop_auto_bet: {
+        description: 'Stop the running auto bet strategy.',
+        reply: 'auto_bet_stopped',
+        schema: EMPTY
+    },
+    get_auto_bet_status: {
+        description: 'Fetch the auto bet strategy status.',
+        reply: 'auto_bet_status',
+        schema: EMPTY
+    },
+    get_session_info: {
+        description: 'Fetch the session.',
+        reply: 'session_info',
+        schema: EMPTY
+    },
+    get_game_state: {
+        description: 'Fetch the current game state.',
+        reply: 'game_state',
+        schema: EMPTY
+    },
+    set_tick_format: {
+        description: 'Choose how ticks arrive: JSON game_state_update messages (default) or 32-byte binary frames, see src/websocket/tick-frame.js.',
+        reply: 'tick_format_set',
+        schema: {
+            type: 'object',
+            required: ['format'],
+            additionalProperties: false,
+            properties: {
+                format: { type: 'string', enum: ['json', 'binary'] }
+            }
+        }
+    },
+    chat_message: {
+        description: 'Say something in chat. Banned words are masked; sessions are rate limited and can be muted by moderators.',
+        reply: 'chat_message_sent',
+        schema: {
+            type: 'object',
+            required: ['text'],
+            additionalProperties: false,
+            properties: {
+                text: { type: 'string', minLength: 1, maxLength: chatConfig.maxLength }
+            }
+        }
+    },
+    mute_session: {
+        description: 'Moderators only. Stop the author of a chat message, or a session, from chatting for a while.',
+        reply: 'session_muted',
+        schema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                ...MUTE_TARGET,
+                durationMs: { type: 'integer', minimum: 1000, description: 'Defaults to CHAT_DEFAULT_MUTE_MS' },
+                reason: { type: 'string', maxLength: 200, description: 'Shown to the muted player' }
+            }
+        }
+    },
+    unmute_session: {
+        description: 'Moderators only. Lift a mute.',
+        reply: 'session_unmuted',
+        schema: {
+            type: 'object',
+            additionalProperties: false,
+            properties: MUTE_TARGET
+        }
+    }
+};
+
+// Server messages, documented rather than validated. `session` messages carry an eventId
+// and are replayed by resume_session.
+export const SERVER_MESSAGES = {
+    connected: { description: 'First message on every socket.', fields: 'protocolVersion, sessionId, resumeToken, lastEventId, authenticated, playerName, gameState, fairness, balance, wallets' },
+    authenticated: { description: 'Reply to authenticate.', fields: 'sessionId, resumeToken, lastEventId, playerName, balance, wallets' },
+    session_resumed: { description: 'Reply to resume_session, followed by the missed session messages with replayed: true.', fields: 'sessionId, resumeToken, authenticated, playerName, phase, gameState, activeBets, balance, wallets, lastEventId, replayed' },
+    player_name_set: { description: 'Reply to set_player_name.', fields: 'sessionId, playerName, balance, wallets' },
+    client_seed_set: { description: 'Reply to set_client_seed.', fields: 'clientSeed' },
+    bet_placed: { description: 'Reply to place_bet, and sent for every bet an auto bet strategy places (auto: true).', fields: 'bet, conversion, newBalance, wallets', session: true },
+    cash_out_success: { description: 'Reply to cash_out, and sent for every automatic cashout.', fields: 'betId, automatic, partial, fraction, multiplier, cryptocurrency, stakeUsd, payoutCrypto, winAmount, profit, remainingUsdAmount, remainingCryptoAmount, newBalance, wallets', session: true },
+    bet_lost: { description: 'Stake still riding when the round crashed.', fields: 'roundNumber, crashPoint, betId, betAmount', session: true },
+    wallet: { description: 'Reply to get_wallet.', fields: 'totalUsd, wallets' },
+    auto_bet_started: { description: 'Reply to start_auto_bet.', fields: 'auto bet status' },
+    auto_bet_stopped: { description: 'Reply to stop_auto_bet.', fields: 'auto bet status' },
+    auto_bet_status: { description: 'Reply to get_auto_bet_status, and sent after every round an auto bet strategy plays.', fields: 'status, nextBet, roundsPlayed, roundsRemaining, wins, losses, netProfit, lastResult, stopReason', session: true },
+    session_info: { description: 'Reply to get_session_info.', fields: 'the session' },
+    game_state: { description: 'Reply to get_game_state.', fields: 'roundNumber, status, multiplier, phaseEndsAt, startTime, serverTime, curve, crashPoint, hash, seed, totalBets, totalPlayers, activeBets, onlinePlayers' },
+    tick_format_set: { description: 'Reply to set_tick_format.', fields: 'format' },
+    game_state_update: { description: 'Broadcast when betting opens, when the round starts, on every tick and at the crash. Clients that chose the binary tick format get ticks as binary frames instead.', fields: 'phase, multiplier, timeLeft, currentRound, hash, startTime, serverTime, curve, crashPoint, seed, clientSeed, nonce' },
+    player_bet: { description: 'Another session placed a bet.', fields: 'playerName, betId, usdAmount, cryptocurrency, autoCashoutAt, totalBets' },
+    player_cashout: { description: 'Another session cashed out.', fields: 'playerName, betId, multiplier, winAmount, partial, automatic' },
+    leaderboard_update: { description: 'All leaderboards, after every settled round.', fields: 'daily, weekly, allTime' },
+    recovery_notice: { description: 'What crash recovery did with the player\'s bets in rounds interrupted by a restart.', fields: 'notices' },
+    server_shutdown: { description: 'The server is restarting and will close the socket.', fields: 'reason, reconnectAfterMs' },
+    chat_history: { description: 'Sent after connected: recent chat, oldest first, and the session\'s mute if it has one.', fields: 'messages, mute' },
+    chat_message: { description: 'A chat message, from a player or from the server (kind: system, e.g. a big win).', fields: 'id, kind, playerName, text, createdAt' },
+    chat_message_sent: { description: 'Reply to chat_message.', fields: 'id' },
+    session_muted: { description: 'Reply to mute_session.', fields: 'mutedUntil, reason' },
+    session_unmuted: { description: 'Reply to unmute_session.', fields: '' },
+    chat_muted: { description: 'A moderator muted the session.', fields: 'mutedUntil, reason', session: true },
+    chat_unmuted: { description: 'The session\'s mute was lifted.', fields: '', session: true },
+    error: { description: 'A message was refused. Carries the requestId of the message that caused it.', fields: 'code, message, details' }
+};
+
+// Checks the envelope and the payload and returns them with defaults applied.
+// Throws a GameError with the matching code otherwise.
+export const parseClientMessage = (message) => {
+    const envelopeErrors = validateSchema(ENVELOPE_SCHEMA, message, 'message');
+    if (envelopeErrors.length > 0) {
+        throw new GameError(ERROR_CODES.INVALID_MESSAGE, envelopeErrors[0], { errors: envelopeErrors });
+    }
+
+    const { v = PROTOCOL_VERSION, type, requestId = null, data = {} } = message;
+    if (v !== PROTOCOL_VERSION) {
+        throw new GameError(ERROR_CODES.UNSUPPORTED_VERSION, `Protocol version ${v} is not supported, use ${PROTOCOL_VERSION}`);
+    }
+
+    if (!Object.hasOwn(CLIENT_MESSAGES, type)) {
+        throw new GameError(ERROR_CODES.UNKNOWN_MESSAGE_TYPE, `Unknown message type: ${type}`);
+    }
+
+    const errors = validateSchema(CLIENT_MESSAGES[type].schema, data);
+    if (errors.length > 0) {
+        throw new GameError(ERROR_CODES.INVALID_MESSAGE, errors[0], { errors });
+    }
+
+    return { v, type, requestId, data };
+};
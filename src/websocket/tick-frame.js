@@ -0,0 +1,46 @@
+// Compact binary form of the tick `game_state_update`, for clients that opt in with
+// set_tick_format. One 32-byte little-endian frame per tick:
+//
+// offset  type     field
+// 0       uint8    frame type, always 1 (tick)
+// 1       uint8    phase: 0 = waiting (betting open), 1 = playing
+// 2       uint16   protocol version
+// 4       uint32   round number
+// 8       float64  multiplier (1 while waiting)
+// 16      float64  server time, ms since the epoch
+// 24      uint32   time left in the betting phase, ms (0 while playing)
+// 28      uint32   reserved, 0
+//
+// Everything else a client needs (hash, startTime, curve) arrives in the JSON
+// game_state_update sent when betting opens and when the round starts.
+export const TICK_FRAME_TYPE = 1;
+export const TICK_FRAME_SIZE = 32;
+
+export const TICK_PHASES = Object.freeze(['waiting', 'playing']);
+
+export const encodeTickFrame = ({ phase, roundNumber, multiplier, serverTime, timeLeft }, version) => {
+    const frame = Buffer.alloc(TICK_FRAME_SIZE);
+    frame.writeUInt8(TICK_FRAME_TYPE, 0);
+    frame.writeUInt8(phase === 'betting' ? 0 : 1, 1);
+    frame.writeUInt16LE(version, 2);
+    frame.writeUInt32LE(roundNumber, 4);
+    frame.writeDoubleLE(phase === 'betting' ? 1 : multiplier, 8);
+    frame.writeDoubleLE(serverTime, 16);
+    frame.writeUInt32LE(phase === 'betting' ? Math.max(0, Math.round(timeLeft)) : 0, 24);
+    return frame;
+};
+
+export const decodeTickFrame = (frame) => {
+    if (frame.length !== TICK_FRAME_SIZE || frame.readUInt8(0) !== TICK_FRAME_TYPE) {
+        throw new Error('Not a tick frame');
+    }
+
+    return {
+        phase: TICK_PHASES[frame.readUInt8(1)],
+        version: frame.readUInt16LE(2),
+        roundNumber: frame.readUInt32LE(4),
+        multiplier: frame.readDoubleLE(8),
+        serverTime: frame.readDoubleLE(16),
+        timeLeft: frame.readUInt32LE(24)
+    };
+};
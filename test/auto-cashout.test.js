@@ -0,0 +1,54 @@
+import { createPlayer, openBetting, startDatabase, startRound } from './helpers/database.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import GameRound from '../src/api/models/game-round.model.js';
+import gameEngine from '../src/services/game-engine.js';
+import { calculateCrashPoint, sha256, simulateReturnToPlayer } from '../src/utils/provably-fair.js';
+
+const database = await startDatabase();
+
+const serverSeed = sha256('auto-cashout-test:server');
+const clientSeed = sha256('auto-cashout-test:client');
+const rounds = 40;
+const crashPoints = Array.from({ length: rounds }, (_, nonce) => calculateCrashPoint(serverSeed, clientSeed, nonce).crashPoint);
+// Besides fixed targets, two that some round crashes exactly at
+const targets = [1.01, 1.5, 2, 5, ...crashPoints.filter(point => point >= 1.01 && point <= 5).slice(0, 2)];
+
+describe('auto cashouts', { skip: database.skip }, () => {
+    before(() => gameEngine.initialize());
+
+    after(async () => {
+        gameEngine.resetForNewRound();
+        await database.stop();
+    });
+
+    it('pay out the same rounds as the RTP simulation', async () => {
+        const sessions = [];
+        for (const target of targets) {
+            sessions.push({ target, session: gameEngine.attachPlayer(await createPlayer()) });
+        }
+
+        const staked = targets.map(() => 0);
+        const paid = targets.map(() => 0);
+        for (const crashPoint of crashPoints) {
+            await openBetting(gameEngine);
+            for (const { target, session } of sessions) {
+                await gameEngine.placeBet(session.sessionId, 1, 'BTC', { autoCashoutAt: target });
+            }
+            await startRound(gameEngine, { crashPoint });
+            await gameEngine.crashGame();
+
+            const round = await GameRound.findById(gameEngine.currentRound._id).lean();
+            sessions.forEach(({ session }, index) => {
+                const bet = round.activeBets.find(entry => entry.sessionId === session.sessionId);
+                staked[index] += bet.usdAmount;
+                paid[index] += bet.cashouts.reduce((sum, cashout) => sum + cashout.usdAmount * cashout.multiplier, 0);
+            });
+        }
+
+        const simulated = simulateReturnToPlayer(serverSeed, clientSeed, { rounds, targets });
+        simulated.targets.forEach(({ target, rtp }, index) => {
+            assert.ok(Math.abs(paid[index] / staked[index] - rtp) < 1e-9, `target ${target}x: engine RTP ${paid[index] / staked[index]}, simulated ${rtp}`);
+        });
+    });
+});
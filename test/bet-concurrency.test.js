@@ -0,0 +1,101 @@
+import { createPlayer, openBetting, startDatabase, startRound } from './helpers/database.js';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import GameRound from '../src/api/models/game-round.model.js';
+import Player from '../src/api/models/player.model.js';
+import Transaction from '../src/api/models/transaction.model.js';
+import gameEngine from '../src/services/game-engine.js';
+import gameConfig from '../src/config/game.js';
+import { ERROR_CODES } from '../src/services/game-errors.js';
+
+const database = await startDatabase();
+
+const createSession = async () => gameEngine.attachPlayer(await createPlayer());
+
+const storedBets = async (sessionId) => {
+    const round = await GameRound.findById(gameEngine.currentRound._id).lean();
+    return round.activeBets.filter(bet => bet.sessionId === sessionId);
+};
+
+const ledger = (session, type) => Transaction.find({ player: session.playerId, type }).lean();
+
+const balance = async (session, currency) => (await Player.findById(session.playerId).lean()).wallets[currency];
+
+const rejectionCodes = (results) => results
+    .filter(result => result.status === 'rejected')
+    .map(result => result.reason.code);
+
+describe('bet concurrency', { skip: database.skip }, () => {
+    before(() => gameEngine.initialize());
+
+    beforeEach(async () => {
+        gameEngine.idempotencyCache.clear();
+        await openBetting(gameEngine);
+    });
+
+    after(async () => {
+        gameEngine.resetForNewRound();
+        await database.stop();
+    });
+
+    it('pays out once when the same bet is cashed out twice at once', async () => {
+        const session = await createSession();
+        const { bet } = await gameEngine.placeBet(session.sessionId, 10, 'BTC');
+        await startRound(gameEngine);
+
+        const receivedAt = Date.now();
+        const results = await Promise.allSettled([
+            gameEngine.cashOut(session.sessionId, { betId: bet.betId, receivedAt }),
+            gameEngine.cashOut(session.sessionId, { betId: bet.betId, receivedAt })
+        ]);
+
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+        assert.deepEqual(rejectionCodes(results), [ERROR_CODES.NO_ACTIVE_BET]);
+        const [stored] = await storedBets(session.sessionId);
+        assert.equal(stored.cashouts.length, 1);
+        assert.equal(stored.cashedOut, true);
+        assert.equal((await ledger(session, 'payout')).length, 1);
+    });
+
+    it('places a retried bet once, even after the engine forgot the key', async () => {
+        const session = await createSession();
+        const startingBalance = await balance(session, 'BTC');
+
+        const [first, second] = await Promise.all([
+            gameEngine.placeBet(session.sessionId, 10, 'BTC', { idempotencyKey: 'retry-1' }),
+            gameEngine.placeBet(session.sessionId, 10, 'BTC', { idempotencyKey: 'retry-1' })
+        ]);
+        assert.equal(second.bet.betId, first.bet.betId);
+
+        // As after a restart: no cached result and a round read before the bet landed
+        gameEngine.idempotencyCache.clear();
+        gameEngine.currentRound.activeBets = [];
+        const retried = await gameEngine.placeBet(session.sessionId, 10, 'BTC', { idempotencyKey: 'retry-1' });
+
+        assert.equal(retried.bet.betId, first.bet.betId);
+        assert.equal(retried.duplicate, true);
+        assert.equal((await storedBets(session.sessionId)).length, 1);
+        assert.equal((await ledger(session, 'bet')).length, 1);
+        assert.equal(await balance(session, 'BTC'), startingBalance - first.bet.cryptoAmount);
+        assert.equal(session.wallets.BTC, startingBalance - first.bet.cryptoAmount);
+    });
+
+    it('holds the per-round bet limit under concurrent bets', async () => {
+        const session = await createSession();
+        const startingBalance = await balance(session, 'ETH');
+        const attempts = gameConfig.maxBetsPerRound + 2;
+
+        const results = await Promise.allSettled(Array.from({ length: attempts }, () =>
+            gameEngine.placeBet(session.sessionId, 5, 'ETH')
+        ));
+        const placed = results.filter(result => result.status === 'fulfilled').map(result => result.value);
+
+        assert.equal(placed.length, gameConfig.maxBetsPerRound);
+        assert.deepEqual(rejectionCodes(results), Array(attempts - gameConfig.maxBetsPerRound).fill(ERROR_CODES.BET_LIMIT_REACHED));
+        assert.equal((await storedBets(session.sessionId)).length, gameConfig.maxBetsPerRound);
+        assert.equal((await ledger(session, 'bet')).length, gameConfig.maxBetsPerRound);
+
+        const staked = placed.reduce((sum, result) => sum + result.bet.cryptoAmount, 0);
+        assert.ok(Math.abs(await balance(session, 'ETH') - (startingBalance - staked)) < 1e-9);
+    });
+});
@@ -0,0 +1,102 @@
+import { startDatabase } from './helpers/database.js';
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter, once } from 'node:events';
+import GameRound from '../src/api/models/game-round.model.js';
+import ClusterNode from '../src/cluster/cluster-node.js';
+import { LeaderElection, MemoryLeaseStore } from '../src/cluster/leader-election.js';
+import MemoryAdapter from '../src/cluster/adapters/memory-adapter.js';
+import { GameEngineService } from '../src/services/game-engine.js';
+import { GAME_EVENTS } from '../src/services/game-events.js';
+import { ERROR_CODES } from '../src/services/game-errors.js';
+
+const database = await startDatabase();
+
+const bus = new EventEmitter();
+const leases = new MemoryLeaseStore();
+
+const createNode = (nodeId) => new ClusterNode({
+    engine: new GameEngineService(),
+    nodeId,
+    rpcTimeoutMs: 5000,
+    adapter: new MemoryAdapter({ nodeId, bus }),
+    // Long enough that leadership does not move during the test
+    election: new LeaderElection({ name: 'round-leader', nodeId, ttlMs: 60000, renewIntervalMs: 20000, store: leases })
+});
+
+describe('cluster forwarding', { skip: database.skip }, () => {
+    const leader = createNode('node-a');
+    const follower = createNode('node-b');
+
+    before(async () => {
+        const bettingOpened = once(leader.engine, GAME_EVENTS.BETTING_OPENED);
+        await leader.start();
+        await follower.start();
+        await bettingOpened;
+    });
+
+    after(async () => {
+        await follower.stop();
+        await leader.stop();
+        leader.engine.stop();
+        await database.stop();
+    });
+
+    it('runs a bet placed on a follower on the leader and relays the event back', async () => {
+        assert.ok(leader.isLeader && !follower.isLeader);
+
+        const relayed = once(follower.engine, GAME_EVENTS.BET_PLACED);
+        const result = await follower.engine.placeBet('session-1', 10, 'BTC', { idempotencyKey: 'forwarded-1' });
+        const [event] = await relayed;
+
+        assert.equal(event.bet.betId, result.bet.betId);
+        assert.ok(leader.engine.getBetState(result.bet.betId), 'the bet should be in the round on the leader');
+        assert.equal(follower.engine.getSession('session-1').wallets.BTC, result.wallets.BTC);
+
+        const stored = await GameRound.findById(result.bet.roundId).lean();
+        assert.deepEqual(stored.activeBets.map(bet => bet._id.toString()), [result.bet.betId]);
+
+        const state = follower.engine.getCurrentGameState();
+        assert.equal(state.roundNumber, leader.engine.currentRound.roundNumber);
+        assert.equal(state.totalBets, 10);
+        assert.deepEqual(state.activeBets.map(bet => bet.betId), [result.bet.betId]);
+        assert.equal(state.activeBets[0].sessionId, undefined, 'clients should not see who placed a bet');
+    });
+
+    it('returns the first result for a retried bet', async () => {
+        const first = await follower.engine.placeBet('session-2', 5, 'ETH', { idempotencyKey: 'forwarded-2' });
+        const retried = await follower.engine.placeBet('session-2', 5, 'ETH', { idempotencyKey: 'forwarded-2' });
+
+        assert.equal(retried.bet.betId, first.bet.betId);
+        assert.equal(leader.engine.getSessionBets(leader.engine.currentRound, 'session-2').length, 1);
+    });
+
+    it('prices a forwarded cashout at the time the follower received it', async () => {
+        const received = [];
+        const cashOut = leader.engine.cashOut.bind(leader.engine);
+        leader.engine.cashOut = (sessionId, options) => {
+            received.push(options.receivedAt);
+            return cashOut(sessionId, options);
+        };
+
+        try {
+            const receivedAt = Date.now() - 500;
+            await assert.rejects(follower.engine.cashOut('session-1', { receivedAt }), { code: ERROR_CODES.CASHOUT_CLOSED });
+            // A follower clock far behind the leader's is held to the allowed skew
+            const skewed = Date.now() - 60000;
+            await assert.rejects(follower.engine.cashOut('session-1', { receivedAt: skewed }), { code: ERROR_CODES.CASHOUT_CLOSED });
+
+            assert.equal(received[0], receivedAt);
+            assert.ok(received[1] > skewed && received[1] >= Date.now() - leader.maxClockSkewMs - 1000);
+        } finally {
+            leader.engine.cashOut = cashOut;
+        }
+    });
+
+    it('passes error codes from the leader back to the follower', async () => {
+        await assert.rejects(
+            follower.engine.placeBet('session-3', 10, 'DOGE'),
+            { code: ERROR_CODES.UNSUPPORTED_CURRENCY }
+        );
+    });
+});
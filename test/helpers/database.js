@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { MongoMemoryReplSet } from 'mongodb-memory-server';
+
+// Config modules read the environment when first imported, so this module is
+// imported before anything from src
+process.env.NODE_ENV ??= 'test';
+process.env.HASH_CHAIN_LENGTH ??= '100';
+
+// Starts a single-node in-memory replica set, so transactions are available, and
+// connects mongoose to it. MONGODB_TEST_URI uses an existing replica set instead.
+// Resolves to { skip } with the reason when no mongod can be started, e.g. when the
+// binary is not installed and cannot be downloaded. Prices come from the fallback
+// table for the whole run.
+export const startDatabase = async () => {
+    // Keep prices off the network
+    const { default: cryptoService } = await import('../../src/services/crypto-service.js');
+    cryptoService.cache.set('crypto_prices', { data: { ...cryptoService.fallbackPrices }, timestamp: Date.now() + 24 * 60 * 60 * 1000 });
+
+    let replSet = null;
+    try {
+        let uri = process.env.MONGODB_TEST_URI;
+        if (!uri) {
+            replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+            uri = replSet.getUri();
+        }
+        await mongoose.connect(uri, { dbName: `crash-test-${process.pid}` });
+    } catch (error) {
+        await replSet?.stop();
+        return { skip: `MongoDB is not available: ${error.message}` };
+    }
+
+    return {
+        skip: false,
+        stop: async () => {
+            await mongoose.connection.dropDatabase();
+            await mongoose.disconnect();
+            await replSet?.stop();
+        }
+    };
+};
+
+let playerCount = 0;
+
+// A stored player holding the starting balance
+export const createPlayer = async (username = `player_${++playerCount}`) => {
+    const { default: Player } = await import('../../src/api/models/player.model.js');
+    const { default: walletService } = await import('../../src/services/wallet-service.js');
+
+    const player = await Player.create({ username, usernameLower: username.toLowerCase(), passwordHash: 'unused' });
+    await walletService.depositStartingBalance(player._id);
+    return Player.findById(player._id);
+};
+
+// Opens betting on a new round without starting the round loop and its timers
+export const openBetting = async (engine) => {
+    engine.resetForNewRound();
+    engine.rounds.reset();
+    await engine.createNewRound();
+    engine.rounds.transition('betting', { round: engine.currentRound });
+};
+
+// Moves the open round to the active phase, started a second ago
+export const startRound = async (engine, { crashPoint = 1000 } = {}) => {
+    const { default: GameRound } = await import('../../src/api/models/game-round.model.js');
+
+    const round = await GameRound.findOneAndUpdate(
+        { _id: engine.currentRound._id },
+        { $set: { status: 'active', startTime: new Date(Date.now() - 1000), crashPoint } },
+        { new: true }
+    );
+    engine.currentRound = round;
+    engine.startTime = round.startTime.getTime();
+    engine.rounds.transition('active', { round });
+};
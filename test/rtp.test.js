@@ -0,0 +1,35 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { sha256, simulateReturnToPlayer, expectedReturnToPlayer, DEFAULT_CRASH_PARAMS } from '../src/utils/provably-fair.js';
+
+// Fixed seeds make every run play the same rounds, so these pass or fail the same way each time
+const serverSeed = sha256('rtp-test:server');
+const clientSeed = sha256('rtp-test:client');
+const rounds = 1_000_000;
+const targets = [1.01, 1.5, 2, 5, 10];
+
+describe('return to player', () => {
+    for (const params of [DEFAULT_CRASH_PARAMS, { houseEdge: 3, instantBustChance: 2, maxMultiplier: 1000 }]) {
+        it(`matches the configured RTP with ${JSON.stringify(params)}`, () => {
+            const expectedRtp = expectedReturnToPlayer(params);
+            const result = simulateReturnToPlayer(serverSeed, clientSeed, { rounds, targets, params });
+
+            for (const { target, rtp, standardError } of result.targets) {
+                assert.ok(
+                    Math.abs(rtp - expectedRtp) <= 5 * standardError,
+                    `target ${target}x: RTP ${rtp} is not within ${5 * standardError} of ${expectedRtp}`
+                );
+            }
+        });
+    }
+
+    it('crashes at 1.00x as often as the instant bust chance and house edge say', () => {
+        const params = { houseEdge: 1, instantBustChance: 2 };
+        const { instantBustRate } = simulateReturnToPlayer(serverSeed, clientSeed, { rounds, targets: [], params });
+        // Besides instant busts, the house edge alone sends some rounds below 1.01x
+        const expected = 1 - expectedReturnToPlayer(params) / 1.01;
+        const standardError = Math.sqrt(expected * (1 - expected) / rounds);
+
+        assert.ok(Math.abs(instantBustRate - expected) <= 5 * standardError, `rate ${instantBustRate}, expected ${expected}`);
+    });
+});
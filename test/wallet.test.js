@@ -0,0 +1,52 @@
+import { createPlayer, startDatabase } from './helpers/database.js';
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import Player from '../src/api/models/player.model.js';
+import Transaction from '../src/api/models/transaction.model.js';
+import walletService from '../src/services/wallet-service.js';
+
+const database = await startDatabase();
+
+const createPlayerId = async (username) => (await createPlayer(username))._id.toString();
+
+describe('wallet swaps', { skip: database.skip }, () => {
+    after(() => database.stop());
+
+    it('converts once when the same swap is sent twice', async () => {
+        const playerId = await createPlayerId('swapper');
+        const { wallets: before } = await Player.findById(playerId).lean();
+
+        const [first, second] = await Promise.all([
+            walletService.swap(playerId, 'BTC', 'ETH', 0.001, { idempotencyKey: 'swap-1' }),
+            walletService.swap(playerId, 'BTC', 'ETH', 0.001, { idempotencyKey: 'swap-1' })
+        ]);
+        const again = await walletService.swap(playerId, 'BTC', 'ETH', 0.001, { idempotencyKey: 'swap-1' });
+
+        assert.equal(second.reference, first.reference);
+        assert.equal(again.reference, first.reference);
+        assert.equal(again.duplicate, true);
+        assert.equal(await Transaction.countDocuments({ player: playerId, type: 'swap' }), 2);
+
+        const { wallets: after } = await Player.findById(playerId).lean();
+        assert.ok(Math.abs(after.BTC - (before.BTC - 0.001)) < 1e-12);
+        assert.ok(Math.abs(after.ETH - (before.ETH + first.conversion.toAmount)) < 1e-12);
+    });
+
+    it('leaves the balance alone when the debit cannot be covered', async () => {
+        const playerId = await createPlayerId('overdrawn');
+        const { wallets: before } = await Player.findById(playerId).lean();
+
+        await assert.rejects(walletService.swap(playerId, 'BTC', 'ETH', before.BTC * 2), { code: 'INSUFFICIENT_BALANCE' });
+
+        const { wallets: after } = await Player.findById(playerId).lean();
+        assert.deepEqual(after, before);
+        assert.equal(await Transaction.countDocuments({ player: playerId, type: 'swap' }), 0);
+    });
+
+    it('rejects bad swaps with error codes', async () => {
+        const playerId = await createPlayerId('careless');
+
+        await assert.rejects(walletService.swap(playerId, 'BTC', 'BTC', 0.001), { code: 'INVALID_MESSAGE' });
+        await assert.rejects(walletService.swap(playerId, 'BTC', 'ETH', -1), { code: 'INVALID_AMOUNT' });
+    });
+});